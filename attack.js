@@ -0,0 +1,70 @@
+/**
+ * attack.js - Versus attack table
+ *
+ * Converts a finished line clear into garbage lines for the opponent:
+ * - Base attack from lines cleared, or the spin table when it's higher
+ * - +1 for continuing a back-to-back chain
+ * - Combo bonus from the third consecutive clear on
+ * - +10 for a perfect clear
+ *
+ * Outgoing attack first cancels the sender's own pending garbage.
+ * Pure functions - the engine applies them when a clear finishes.
+ */
+
+import { SPIN_TYPES } from './spin-detector.js';
+
+// Indexed by lines cleared
+const LINE_ATTACK = [0, 0, 1, 2, 4];
+
+const SPIN_ATTACK = {
+    [SPIN_TYPES.T_SPIN]: [0, 2, 4, 6],
+    [SPIN_TYPES.T_SPIN_MINI]: [0, 0, 1],
+    [SPIN_TYPES.SPIN]: [0, 0, 1]  // Non-T spins count as minis
+};
+
+// Indexed by combo count (1 = first clear of the chain)
+const COMBO_ATTACK = [0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+const BACK_TO_BACK_ATTACK = 1;
+const PERFECT_CLEAR_ATTACK = 10;
+
+const lookup = (table, index) => table[Math.min(index, table.length - 1)];
+
+/**
+ * Garbage lines sent for a clear
+ * clear: { lines, spin, backToBack, combo, perfectClear }
+ */
+export const calculateAttack = ({ lines, spin = null, backToBack = 0, combo = 0, perfectClear = false }) => {
+    if (lines === 0) return 0;
+
+    const base = Math.max(
+        lookup(LINE_ATTACK, lines),
+        spin ? lookup(SPIN_ATTACK[spin.type], lines) : 0
+    );
+
+    // backToBack counts the chain including this clear
+    const chainBonus = backToBack > 1 ? BACK_TO_BACK_ATTACK : 0;
+    const comboBonus = lookup(COMBO_ATTACK, combo);
+    const perfectBonus = perfectClear ? PERFECT_CLEAR_ATTACK : 0;
+
+    return base + chainBonus + comboBonus + perfectBonus;
+};
+
+/**
+ * Cancel pending garbage with an outgoing attack, oldest batch first
+ * Returns what's still pending and what's left to send
+ */
+export const offsetGarbage = (pending, attack) => {
+    let remaining = attack;
+    const kept = [];
+
+    (pending || []).forEach(batch => {
+        const cancelled = Math.min(batch.lines, remaining);
+        remaining -= cancelled;
+        if (batch.lines > cancelled) {
+            kept.push({ ...batch, lines: batch.lines - cancelled });
+        }
+    });
+
+    return { pending: kept, attack: remaining };
+};
\ No newline at end of file
@@ -3,7 +3,7 @@
  * 
  * Plays sounds by detecting state changes:
  * - Movement sounds (move, rotate, drop)
- * - Game events (lock, clear, quadclear)
+ * - Game events (lock, clear, quadclear, back-to-back)
  * - UI feedback (level up, game over)
  * 
  * Uses Web Audio API for low-latency sound generation
@@ -185,6 +185,11 @@ export class AudioSystem {
             this.playBellSound(lineCount);
         }
         
+        // Back-to-back chain extended
+        if (newState.backToBackCounter > 1 && newState.backToBackCounter > oldState.backToBackCounter) {
+            this.playSound('backtoback');
+        }
+        
         // Movement and actions from player input
         if (newState.lastMove && newState.lastMove !== oldState.lastMove) {
             const move = newState.lastMove;
@@ -231,6 +236,7 @@ export class AudioSystem {
             clear: () => this.playBellSound(1), // Single line
             quadclear: () => this.playBellSound(4), // Four lines
             levelup: () => this.playArpeggio([261, 330, 392, 523], 0.03),
+            backtoback: () => this.playArpeggio([523, 659, 784], 0.04),
             gameover: () => this.playGongSound()
         };
         
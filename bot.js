@@ -0,0 +1,288 @@
+/**
+ * bot.js - Headless AI player
+ *
+ * Plans one placement at a time:
+ * - Breadth-first search over every position the current piece (or the
+ *   hold piece) can reach with moves, rotations and soft drops, using the
+ *   same collision and kick rules as the engine
+ * - Scores each resting position with a weighted board heuristic
+ *   (aggregate height, holes, bumpiness, line clears, spins, T-slot setups)
+ * - Returns the winning action sequence, ending in a hard drop
+ *
+ * The planner is pure and runs in Node for benchmarks. BotController
+ * feeds the plan to the game at a set pieces-per-second pace, through the
+ * same action callback the keyboard uses, so bot games record normal replays.
+ */
+
+import * as Physics from './physics-pure.js';
+import * as Engine from './game-engine.js';
+import { createPiece, createInitialState } from './game-state.js';
+import { detectSpin, SPIN_TYPES } from './spin-detector.js';
+
+export const DEFAULT_WEIGHTS = {
+    aggregateHeight: -0.51,
+    holes: -3.5,
+    bumpiness: -0.18,
+    maxHeight: -0.3,
+    lineClears: [0, -0.5, 0.2, 1.5, 6],  // Reward by lines cleared at once
+    spinClear: 4,                        // Per line cleared with a spin
+    tSlots: 1.2                          // Open T-spin slots left on the board
+};
+
+export const DEFAULT_PPS = 1.5;
+
+// Maneuvers the search tries from every position
+const MANEUVERS = [
+    { type: 'MOVE', dx: -1, dy: 0 },
+    { type: 'MOVE', dx: 1, dy: 0 },
+    { type: 'ROTATE', direction: 1 },
+    { type: 'ROTATE', direction: -1 },
+    { type: 'ROTATE_180' }
+];
+
+const SOFT_DROP = { type: 'MOVE', dx: 0, dy: 1 };
+
+/**
+ * Apply one maneuver the way the engine would - returns the moved piece or null
+ */
+const applyManeuver = (board, piece, action, rotationSystem) => {
+    if (action.type === 'MOVE') {
+        const x = piece.gridX + action.dx;
+        if (Physics.canPieceFitAt(board, piece, x, piece.gridY)) {
+            return { ...piece, gridX: x, kickIndex: null };
+        }
+
+        // FLOAT slides down a row when blocked sideways
+        const altY = piece.gridY + 1;
+        if (piece.type === 'FLOAT' && altY < Physics.boardHeight(board) &&
+            Physics.canPieceFitAt(board, piece, x, altY)) {
+            return { ...piece, gridX: x, gridY: altY, kickIndex: null };
+        }
+        return null;
+    }
+
+    const direction = action.type === 'ROTATE_180' ? 2 : action.direction;
+    const result = Physics.tryRotation(board, piece, direction, rotationSystem);
+    return result.success ? result.piece : null;
+};
+
+// Search key - a spin-eligible landing differs from the same cell reached by a move
+const nodeKey = (piece) =>
+    `${piece.gridX},${piece.gridY},${piece.rotation},${piece.kickIndex === null || piece.kickIndex === undefined ? 0 : 1}`;
+
+/**
+ * Every resting position reachable from the piece's current spot
+ * Returns [{ piece, actions }] with the shortest action list for each
+ */
+export const findPlacements = (board, start, rotationSystem = 'SRS') => {
+    const seen = new Set([nodeKey(start)]);
+    const queue = [{ piece: start, actions: [] }];
+    const placements = [];
+
+    for (let i = 0; i < queue.length; i++) {
+        const { piece, actions } = queue[i];
+
+        const shadowY = Physics.calculateShadow(board, piece);
+        if (shadowY === piece.gridY) {
+            placements.push({ piece, actions });
+        }
+
+        const next = MANEUVERS.map(action => ({ action, moved: applyManeuver(board, piece, action, rotationSystem) }));
+
+        // Soft drop straight to the floor below - one step in the search
+        if (shadowY > piece.gridY) {
+            next.push({
+                action: SOFT_DROP,
+                moved: { ...piece, gridY: shadowY, kickIndex: null },
+                repeat: shadowY - piece.gridY
+            });
+        }
+
+        next.forEach(({ action, moved, repeat = 1 }) => {
+            if (!moved) return;
+
+            const key = nodeKey(moved);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            queue.push({ piece: moved, actions: [...actions, ...Array(repeat).fill(action)] });
+        });
+    }
+
+    return placements;
+};
+
+/**
+ * Column heights measured from the floor
+ */
+const columnHeights = (board) => {
+    const height = Physics.boardHeight(board);
+    return board[0].map((_, x) => {
+        const top = board.findIndex(row => row[x] !== null);
+        return top === -1 ? 0 : height - top;
+    });
+};
+
+const countHoles = (board) => {
+    let holes = 0;
+    for (let x = 0; x < board[0].length; x++) {
+        let covered = false;
+        for (let y = 0; y < board.length; y++) {
+            if (board[y][x] !== null) {
+                covered = true;
+            } else if (covered) {
+                holes++;
+            }
+        }
+    }
+    return holes;
+};
+
+const isFilled = (board, x, y) =>
+    x < 0 || x >= board[0].length || y >= board.length || (y >= 0 && board[y][x] !== null);
+
+/**
+ * Open T-spin slots: a T-shaped cavity with an overhang on one side
+ */
+const countTSlots = (board) => {
+    let slots = 0;
+    for (let y = 1; y < board.length - 1; y++) {
+        for (let x = 1; x < board[0].length - 1; x++) {
+            const cavity = !isFilled(board, x - 1, y) && !isFilled(board, x, y) &&
+                !isFilled(board, x + 1, y) && !isFilled(board, x, y + 1) && !isFilled(board, x, y - 1);
+            const floor = isFilled(board, x - 1, y + 1) && isFilled(board, x + 1, y + 1);
+            const overhang = isFilled(board, x - 1, y - 1) !== isFilled(board, x + 1, y - 1);
+
+            if (cavity && floor && overhang) slots++;
+        }
+    }
+    return slots;
+};
+
+/**
+ * Heuristic features of a board - pure function
+ */
+export const boardFeatures = (board) => {
+    const heights = columnHeights(board);
+    return {
+        aggregateHeight: heights.reduce((sum, h) => sum + h, 0),
+        maxHeight: Math.max(...heights),
+        bumpiness: heights.slice(1).reduce((sum, h, i) => sum + Math.abs(h - heights[i]), 0),
+        holes: countHoles(board),
+        tSlots: countTSlots(board)
+    };
+};
+
+/**
+ * Score a landing: lock it, clear lines and weigh the board left behind
+ */
+export const scorePlacement = (board, piece, weights = DEFAULT_WEIGHTS, rotationSystem = 'SRS') => {
+    const spin = detectSpin(board, piece, rotationSystem);
+    const placed = Physics.placePiece(board, piece);
+    const cleared = Physics.findClearedLines(placed);
+    const after = Physics.removeClearedLines(placed, cleared);
+    const features = boardFeatures(after);
+    const lines = cleared.length;
+
+    return weights.aggregateHeight * features.aggregateHeight +
+        weights.holes * features.holes +
+        weights.bumpiness * features.bumpiness +
+        weights.maxHeight * features.maxHeight +
+        weights.tSlots * features.tSlots +
+        (weights.lineClears[Math.min(lines, weights.lineClears.length - 1)] || 0) +
+        (spin && spin.type !== SPIN_TYPES.SPIN ? weights.spinClear * lines : 0);
+};
+
+/**
+ * Best move for the current piece - { actions, score } or null
+ * Considers holding when the hold is available
+ */
+export const chooseMove = (state, weights = DEFAULT_WEIGHTS) => {
+    if (!state.current) return null;
+
+    const rotationSystem = state.mode.rotationSystem || 'SRS';
+    const candidates = [{ piece: state.current, prefix: [] }];
+
+    const holdType = state.hold ? state.hold.type : state.queue[0] && state.queue[0].type;
+    if (state.canHold && holdType && holdType !== state.current.type) {
+        const piece = createPiece(holdType, state.mode.board);
+        if (Physics.canSpawn(state.board, piece)) {
+            candidates.push({ piece, prefix: [{ type: 'HOLD' }] });
+        }
+    }
+
+    let best = null;
+    candidates.forEach(({ piece, prefix }) => {
+        findPlacements(state.board, piece, rotationSystem).forEach(placement => {
+            const score = scorePlacement(state.board, placement.piece, weights, rotationSystem);
+            if (!best || score > best.score) {
+                best = { score, actions: [...prefix, ...trimSoftDrops(placement.actions), { type: 'HARD_DROP' }] };
+            }
+        });
+    });
+
+    return best;
+};
+
+// Soft drops right before the hard drop change nothing
+const trimSoftDrops = (actions) => {
+    let end = actions.length;
+    while (end > 0 && actions[end - 1].type === 'MOVE' && actions[end - 1].dy > 0) end--;
+    return actions.slice(0, end);
+};
+
+const canAct = (state) =>
+    (state.phase === 'FALLING' || state.phase === 'LOCKING') && Boolean(state.current);
+
+/**
+ * Play a whole game headlessly - for benchmarking weights
+ * Returns the final state and the number of placements made
+ */
+export const playGame = (mode, seed, { weights = DEFAULT_WEIGHTS, maxPieces = 500, tickRate = 1000 / 60 } = {}) => {
+    let state = Engine.startGame(createInitialState(mode), seed);
+    let placements = 0;
+
+    while (state.phase !== 'GAME_OVER' && placements < maxPieces) {
+        if (canAct(state)) {
+            const move = chooseMove(state, weights);
+            (move ? move.actions : [{ type: 'HARD_DROP' }]).forEach(action => {
+                state.scoringEngine.recordInput(action, state.frame);
+                state = Engine.handleInput(state, action);
+            });
+            placements++;
+        }
+        state = Engine.tick(state, tickRate);
+    }
+
+    return { state, placements };
+};
+
+/**
+ * Drives a board at a fixed pieces-per-second pace
+ * Call update() once per fixed simulation tick
+ */
+export class BotController {
+    constructor(onAction, getState, { pps = DEFAULT_PPS, weights = DEFAULT_WEIGHTS } = {}) {
+        this.onAction = onAction;
+        this.getState = getState;
+        this.weights = weights;
+        this.setPPS(pps);
+        this.elapsed = 0;
+    }
+
+    setPPS(pps) {
+        this.pps = Math.max(0.1, pps);
+    }
+
+    update(deltaTime) {
+        const state = this.getState();
+        if (!canAct(state)) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed < 1000 / this.pps) return;
+        this.elapsed = 0;
+
+        const move = chooseMove(state, this.weights);
+        (move ? move.actions : [{ type: 'HARD_DROP' }]).forEach(action => this.onAction(action));
+    }
+}
\ No newline at end of file
@@ -1,8 +1,157 @@
 /**
- * crypto-utils.js - Simple cryptographic utilities
+ * crypto-utils.js - Cryptographic utilities
  * For tournament-grade score validation
+ *
+ * - SHA-256 hashing for the score ledger and board hashes
+ * - HMAC-SHA256 signing for replay submissions
+ *
+ * Uses Web Crypto in the browser and node:crypto in Node. Insecure origins
+ * have no Web Crypto, so every hash rejects with one clear error.
+ * All functions are async because Web Crypto is.
  */
 
-// Export empty object to satisfy import
-// In production, this would use Web Crypto API or a library
-export default {};
\ No newline at end of file
+const encoder = new TextEncoder();
+
+// Resolved SubtleCrypto implementation (shared by all calls)
+let subtlePromise = null;
+
+const isNode = () =>
+    typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+
+/**
+ * Whether hashing can work here without trying it - browser global or Node
+ */
+export const isCryptoAvailable = () =>
+    Boolean(globalThis.crypto && globalThis.crypto.subtle) || isNode();
+
+/**
+ * Locate SubtleCrypto - browser global first, then node:crypto in Node only
+ */
+const getSubtle = () => {
+    if (!subtlePromise) {
+        subtlePromise = (async () => {
+            if (globalThis.crypto && globalThis.crypto.subtle) {
+                return globalThis.crypto.subtle;
+            }
+
+            if (!isNode()) {
+                throw new Error('SHA-256 unavailable: Web Crypto requires a secure context (https or localhost)');
+            }
+
+            const nodeCrypto = await import('node:crypto');
+            return nodeCrypto.webcrypto.subtle;
+        })();
+    }
+
+    return subtlePromise;
+};
+
+/**
+ * Convert strings to bytes, pass bytes through
+ */
+const toBytes = (data) =>
+    typeof data === 'string' ? encoder.encode(data) : data;
+
+/**
+ * Hex-encode an ArrayBuffer
+ */
+const toHex = (buffer) =>
+    Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Stable JSON serialization - object keys sorted so equal data hashes equally
+ */
+export const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 digest as lowercase hex
+ */
+export const sha256 = async (data) => {
+    const subtle = await getSubtle();
+    return toHex(await subtle.digest('SHA-256', toBytes(data)));
+};
+
+/**
+ * Import a raw HMAC-SHA256 key
+ */
+const importHmacKey = async (key) => {
+    const subtle = await getSubtle();
+    return subtle.importKey(
+        'raw',
+        toBytes(key),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+};
+
+/**
+ * HMAC-SHA256 signature as lowercase hex
+ */
+export const hmacSign = async (key, data) => {
+    const subtle = await getSubtle();
+    const cryptoKey = await importHmacKey(key);
+    return toHex(await subtle.sign('HMAC', cryptoKey, toBytes(data)));
+};
+
+/**
+ * Constant-time comparison of two hex strings
+ */
+const safeEqual = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+/**
+ * Verify an HMAC-SHA256 signature
+ */
+export const hmacVerify = async (key, data, signature) =>
+    safeEqual(await hmacSign(key, data), signature);
+
+/**
+ * Sign replay data - returns a copy carrying its signature
+ */
+export const signReplay = async (replay, key) => {
+    const { signature, ...unsigned } = replay;
+
+    return {
+        ...unsigned,
+        signature: {
+            algorithm: 'HMAC-SHA256',
+            value: await hmacSign(key, canonicalize(unsigned))
+        }
+    };
+};
+
+/**
+ * Verify a signed replay - standalone, needs only the shared key
+ */
+export const verifyReplaySignature = async (signedReplay, key) => {
+    if (!signedReplay || !signedReplay.signature) return false;
+
+    const { signature, ...unsigned } = signedReplay;
+    if (signature.algorithm !== 'HMAC-SHA256') return false;
+
+    return hmacVerify(key, canonicalize(unsigned), signature.value);
+};
\ No newline at end of file
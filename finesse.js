@@ -0,0 +1,171 @@
+/**
+ * finesse.js - Wasted inputs per placement
+ *
+ * Every press spent on a piece is counted while it falls: a tap, the start
+ * of a held shift (DAS) and each rotation count once, auto-repeats don't.
+ * When the piece locks, the count is compared with the fewest presses that
+ * reach the same landing from spawn - a breadth-first search over taps,
+ * DAS to either wall and rotations, using the engine's physics and kicks.
+ * Every press beyond that minimum is a finesse fault.
+ *
+ * Placements that need a soft drop, tuck or spin have no straight-drop
+ * minimum and are not judged.
+ *
+ * Pure functions - stats are replaced, never mutated.
+ */
+
+import * as Physics from './physics-pure.js';
+import { createPiece } from './game-state.js';
+
+// One press each from any position
+const STEPS = [
+    { dx: -1 },
+    { dx: 1 },
+    { dx: -1, das: true },
+    { dx: 1, das: true },
+    { direction: 1 },
+    { direction: -1 },
+    { direction: 2 }
+];
+
+/**
+ * Count one action toward the current piece
+ * Inputs restart whenever a new piece (or the hold swap) comes in
+ */
+export const countInput = (inputs, piece, action) => {
+    const current = inputs && inputs.generation === piece.generation
+        ? inputs
+        : { generation: piece.generation, presses: 0, softDropped: false };
+
+    switch (action.type) {
+        case 'MOVE':
+            if (action.dy > 0) {
+                return current.softDropped ? current : { ...current, softDropped: true };
+            }
+            return action.dx !== 0 && !action.repeat
+                ? { ...current, presses: current.presses + 1 }
+                : current;
+
+        case 'ROTATE':
+        case 'ROTATE_180':
+        case 'UP_PRESSED':
+            return { ...current, presses: current.presses + 1 };
+
+        default:
+            return current;
+    }
+};
+
+// Board cells a piece covers - orientations with the same cells are the same landing
+const footprint = (piece) => {
+    const cells = [];
+    piece.shape.forEach((row, dy) => row.forEach((cell, dx) => {
+        if (cell) cells.push(`${piece.gridX + dx},${piece.gridY + dy}`);
+    }));
+    return cells.sort().join(' ');
+};
+
+const dropped = (board, piece) => ({ ...piece, gridY: Physics.calculateShadow(board, piece) });
+
+const applyStep = (board, piece, step, rotationSystem) => {
+    if (step.direction) {
+        const result = Physics.tryRotation(board, piece, step.direction, rotationSystem);
+        return result.success ? result.piece : null;
+    }
+
+    let x = piece.gridX;
+    while (Physics.canPieceFitAt(board, piece, x + step.dx, piece.gridY)) {
+        x += step.dx;
+        if (!step.das) break;
+    }
+    return x === piece.gridX ? null : { ...piece, gridX: x };
+};
+
+/**
+ * Fewest presses that hard-drop a piece of this type from spawn onto the
+ * target landing - null when no straight drop gets there
+ */
+export const minimumInputs = (board, target, boardConfig, rotationSystem = 'SRS') => {
+    const goal = footprint(target);
+    const start = createPiece(target.type, boardConfig);
+    const key = (piece) => `${piece.gridX},${piece.gridY},${piece.rotation}`;
+
+    const seen = new Set([key(start)]);
+    const queue = [{ piece: start, presses: 0 }];
+
+    for (let i = 0; i < queue.length; i++) {
+        const { piece, presses } = queue[i];
+        if (footprint(dropped(board, piece)) === goal) return presses;
+
+        STEPS.forEach(step => {
+            const next = applyStep(board, piece, step, rotationSystem);
+            if (!next || seen.has(key(next))) return;
+            seen.add(key(next));
+            queue.push({ piece: next, presses: presses + 1 });
+        });
+    }
+
+    return null;
+};
+
+/**
+ * Judge the piece about to lock - { type, used, optimal, faults } or null
+ * Call with the state before the piece is placed on the board
+ */
+export const analyzePlacement = (state) => {
+    const piece = state.current;
+    const inputs = state.pieceInputs && state.pieceInputs.generation === piece.generation
+        ? state.pieceInputs
+        : { presses: 0, softDropped: false };
+
+    if (inputs.softDropped) return null;
+
+    const optimal = minimumInputs(state.board, piece, state.mode.board, state.mode.rotationSystem || 'SRS');
+    if (optimal === null) return null;
+
+    return {
+        type: piece.type,
+        used: inputs.presses,
+        optimal,
+        faults: Math.max(0, inputs.presses - optimal)
+    };
+};
+
+/**
+ * Running totals for a game
+ */
+export const createFinesseStats = () => ({
+    judged: 0,
+    perfect: 0,
+    faults: 0,
+    byType: {},  // piece type -> faults
+    last: null
+});
+
+export const recordFinesse = (stats, result) => {
+    if (!result) return stats;
+
+    return {
+        judged: stats.judged + 1,
+        perfect: stats.perfect + (result.faults === 0 ? 1 : 0),
+        faults: stats.faults + result.faults,
+        byType: result.faults > 0
+            ? { ...stats.byType, [result.type]: (stats.byType[result.type] || 0) + result.faults }
+            : stats.byType,
+        last: result
+    };
+};
+
+/**
+ * Post-game summary - perfect share and the piece with the most faults
+ */
+export const finesseReport = (stats) => {
+    const worst = Object.entries(stats.byType).sort((a, b) => b[1] - a[1])[0] || null;
+
+    return {
+        judged: stats.judged,
+        faults: stats.faults,
+        perfectRate: stats.judged > 0 ? stats.perfect / stats.judged : 1,
+        worst: worst ? { type: worst[0], faults: worst[1] } : null
+    };
+};
\ No newline at end of file
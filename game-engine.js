@@ -3,11 +3,23 @@
  * REWRITTEN: Simple movement logic that works the same for all pieces
  */
 
-import { createPiece, getNextPiece } from './game-state.js';
+import { createPiece, getNextPiece, createEmptyBoard } from './game-state.js';
 import * as Physics from './physics-pure.js';
 import * as Random from './random.js';
+import { createRandomizer } from './randomizer.js';
 import * as ParticleSystem from './particle-system.js';
-import { ScoringEngine } from './scoring-engine.js';
+import { ScoringEngine, nextBackToBack } from './scoring-engine.js';
+import { detectSpin } from './spin-detector.js';
+import { createGarbageRows, createGarbageRNG, countGarbageRows, pendingGarbageLines } from './garbage.js';
+import { calculateAttack, offsetGarbage } from './attack.js';
+import { countInput, analyzePlacement, recordFinesse, createFinesseStats } from './finesse.js';
+
+// Preview queue limits
+export const MIN_PREVIEW = 1;
+export const MAX_PREVIEW = 6;
+
+// Block size particles are laid out with (matches Renderer.blockSize)
+const PARTICLE_BLOCK_SIZE = 24;
 
 // Main game tick - just coordinates phases
 export const tick = (state, deltaTime) => {
@@ -16,6 +28,21 @@ export const tick = (state, deltaTime) => {
         return state;
     }
     
+    // Advance the simulated clock - the engine never reads wall time
+    state = {
+        ...state,
+        frame: (state.frame || 0) + 1,
+        elapsedTime: (state.elapsedTime || 0) + deltaTime
+    };
+    if (state.scoringEngine) {
+        state.scoringEngine.updateFrame();
+    }
+    
+    // Timed modes end on the simulated clock
+    if (isTimeUp(state)) {
+        return gameOver(state, 'TIME_UP');
+    }
+    
     // Update particles if any exist
     if (state.particles && state.particles.length > 0) {
         state = { 
@@ -48,16 +75,20 @@ const processFalling = (state, deltaTime) => {
     const gravityDelay = state.mode.gravity(state.level);
     
     if (newAccumulator >= gravityDelay) {
-        // Try to fall one row
-        if (Physics.canPieceFitAt(state.board, state.current, state.current.gridX, state.current.gridY + 1)) {
+        // Fall one row - or several when gravity is faster than the tick
+        const rows = Math.max(1, Math.floor(newAccumulator / gravityDelay));
+        const shadowY = Physics.calculateShadow(state.board, state.current);
+        const targetY = Math.min(state.current.gridY + rows, shadowY);
+        
+        if (targetY > state.current.gridY) {
             const newPiece = {
                 ...state.current,
-                gridY: state.current.gridY + 1
+                gridY: targetY,
+                kickIndex: null  // Falling cancels a spin
             };
             
             // Check if we just reached our shadow position
-            const shadowY = Physics.calculateShadow(state.board, newPiece);
-            const justHitShadow = newPiece.gridY === shadowY && state.current.gridY !== shadowY;
+            const justHitShadow = newPiece.gridY === shadowY;
             
             return { 
                 ...state, 
@@ -119,12 +150,23 @@ const processClearing = (state, deltaTime) => {
 
 // Handle player input
 export const handleInput = (state, action) => {
+    // Garbage can arrive at any point of a running game
+    if (action.type === 'GARBAGE') {
+        return isRunning(state) ? receiveGarbage(state, action.lines) : state;
+    }
+    
     if (state.phase !== 'FALLING' && state.phase !== 'LOCKING') {
         return state;
     }
     
     if (!state.current) return state;
     
+    // Presses spent on this piece, judged for finesse when it locks
+    const pieceInputs = countInput(state.pieceInputs, state.current, action);
+    if (pieceInputs !== state.pieceInputs) {
+        state = { ...state, pieceInputs };
+    }
+    
     switch (action.type) {
         case 'UP_PRESSED':
             // FLOAT pieces use up to move up, others rotate
@@ -140,12 +182,19 @@ export const handleInput = (state, action) => {
         case 'ROTATE':
             return rotate(state, action.direction);
             
+        case 'ROTATE_180':
+            return rotate(state, 2);
+            
         case 'HARD_DROP':
             return hardDrop(state);
             
         case 'HOLD':
             return tryHold(state);
             
+        case 'END_SESSION':
+            // Only modes without a finish line can be ended by the player
+            return canEndSession(state.mode) ? gameOver(state, 'QUIT') : state;
+            
         default:
             return state;
     }
@@ -165,7 +214,7 @@ const move = (state, dx, dy) => {
     // For FLOAT pieces moving horizontally, try one row down
     if (piece.type === 'FLOAT' && dx !== 0 && dy === 0) {
         const altY = targetY + 1;
-        if (altY < 20 && Physics.canPieceFitAt(state.board, piece, targetX, altY)) {
+        if (altY < Physics.boardHeight(state.board) && Physics.canPieceFitAt(state.board, piece, targetX, altY)) {
             return executeMove(state, targetX, altY, dx, 1);
         }
     }
@@ -189,7 +238,8 @@ const executeMove = (state, newX, newY, dx, dy) => {
     const movedPiece = {
         ...state.current,
         gridX: newX,
-        gridY: newY
+        gridY: newY,
+        kickIndex: null  // Translation cancels a spin
     };
     
     // Track up moves for FLOAT
@@ -221,7 +271,7 @@ const executeMove = (state, newX, newY, dx, dy) => {
         newState.lockTimer = 0;
     } else if (canFall && state.phase === 'LOCKING') {
         // For FLOAT pieces moving up, stay in locking if we choose to
-        if (piece.type === 'FLOAT' && dy < 0) {
+        if (state.current.type === 'FLOAT' && dy < 0) {
             // Stay in locking phase - player is positioning the piece
             newState.lockTimer = 0; // Reset timer though
         } else {
@@ -241,9 +291,11 @@ const executeMove = (state, newX, newY, dx, dy) => {
     return newState;
 };
 
-// Simple rotate function
+// Simple rotate function - kicks come from the mode's rotation system
 const rotate = (state, direction) => {
-    const result = Physics.tryRotation(state.board, state.current, direction);
+    const result = Physics.tryRotation(
+        state.board, state.current, direction, state.mode.rotationSystem || 'SRS'
+    );
     
     if (!result.success) {
         return state;
@@ -279,7 +331,8 @@ const hardDrop = (state) => {
     
     const droppedPiece = {
         ...state.current,
-        gridY: shadowY
+        gridY: shadowY,
+        kickIndex: dropDistance > 0 ? null : state.current.kickIndex
     };
     
     let newState = {
@@ -297,10 +350,27 @@ const hardDrop = (state) => {
     return lockPiece(newState);
 };
 
+// Lock out: piece sticks above the board, or rests entirely in the hidden buffer
+const isLockOut = (state) => {
+    const piece = state.current;
+    if (piece.gridY < 0) return true;
+    
+    const buffer = state.mode.board.buffer || 0;
+    if (buffer === 0) return false;
+    
+    return piece.shape.every((row, dy) =>
+        row.every(cell => !cell || piece.gridY + dy < buffer)
+    );
+};
+
 // Lock piece
 const lockPiece = (state) => {
     // Check for game over condition
-    if (state.current.gridY < 0) {
+    if (isLockOut(state)) {
+        if (state.mode.endless) {
+            return topOut(state);
+        }
+        
         // Place visible parts on board
         const newBoard = Physics.placePiece(state.board, state.current);
         
@@ -312,44 +382,114 @@ const lockPiece = (state) => {
         });
     }
     
+    // Spins and finesse are judged against the board before the piece is placed
+    const spin = detectSpin(state.board, state.current, state.mode.rotationSystem || 'SRS');
+    state = { ...state, finesse: recordFinesse(state.finesse || createFinesseStats(), analyzePlacement(state)) };
+    
     // Normal locking logic continues unchanged...
     const newBoard = Physics.placePiece(state.board, state.current);
     
     // Check for lines
     const clearedLines = Physics.findClearedLines(newBoard);
     
-    // Update stats
+    // Update stats and record a verification snapshot
     if (state.scoringEngine) {
         state.scoringEngine.updateStats({ ...state, pieces: state.pieces + 1 });
+        state.scoringEngine.addStateSnapshot({ ...state, board: newBoard });
     }
     
+    const spinState = spin ? {
+        lastSpin: { ...spin, lines: clearedLines.length, time: state.elapsedTime },
+        particles: [...(state.particles || []), ...createSpinParticles(state.current, state.fxRng)]
+    } : {};
+    
     if (clearedLines.length > 0) {
-        // Create particles
+        // Create particles in board-local pixels - the renderer offsets them
+        // (cosmetic stream keeps the game RNG untouched)
         const particles = ParticleSystem.createLineExplosion(
             newBoard, clearedLines,
-            60, 104, 24  // Board position and block size from renderer
+            0, 0, PARTICLE_BLOCK_SIZE,
+            state.fxRng
         );
         
         return {
             ...state,
+            ...spinState,
             board: newBoard,
             current: null,
             phase: 'CLEARING',
             clearTimer: 0,
             clearingLines: clearedLines,
+            pendingSpin: spin,  // Scored when the clear finishes
             canHold: true,
-            particles: [...(state.particles || []), ...particles]
+            particles: [...(spinState.particles || state.particles || []), ...particles]
         };
     }
     
-    // No lines - spawn next
-    return spawnNextPiece({
+    // No lines - a spin still scores on its own
+    let score = state.score;
+    if (spin && state.scoringEngine) {
+        score += state.scoringEngine.scoreLineClears(state, 0, spin);
+    }
+    
+    // No lines - combo breaks, pending garbage rises, then spawn next
+    return spawnNextPiece(applyPendingGarbage({
         ...state,
+        ...spinState,
+        score,
+        combo: 0,
         board: newBoard,
         current: null,
         canHold: true,
         pieces: state.pieces + 1
-    });
+    }));
+};
+
+const isRunning = (state) =>
+    state.phase !== 'MENU' && state.phase !== 'GAME_OVER';
+
+/**
+ * Queue incoming garbage - it rises after the next lock that clears nothing
+ */
+export const receiveGarbage = (state, lines) => {
+    if (state.mode.garbage === false || !Number.isInteger(lines) || lines <= 0) {
+        return state;
+    }
+    
+    return {
+        ...state,
+        pendingGarbage: [...(state.pendingGarbage || []), { lines }]
+    };
+};
+
+// Push all pending garbage up under the stack, one clean hole per batch
+const applyPendingGarbage = (state) => {
+    if (pendingGarbageLines(state.pendingGarbage) === 0) return state;
+    
+    const width = Physics.boardWidth(state.board);
+    const options = state.mode.garbage || {};
+    const rows = state.pendingGarbage.flatMap(batch =>
+        createGarbageRows(width, batch.lines, state.garbageRng, options)
+    );
+    
+    const overflow = Physics.wouldOverflow(state.board, rows.length);
+    const newState = {
+        ...state,
+        board: Physics.insertRowsAtBottom(state.board, rows),
+        pendingGarbage: []
+    };
+    
+    return overflow ? gameOver(newState) : newState;
+};
+
+// Spin celebration centered on the locked piece (board-local pixels)
+const createSpinParticles = (piece, fxRng) => {
+    const size = piece.shape.length;
+    return ParticleSystem.createTSpinEffect(
+        (piece.gridX + size / 2) * PARTICLE_BLOCK_SIZE,
+        (piece.gridY + size / 2) * PARTICLE_BLOCK_SIZE,
+        fxRng
+    );
 };
 
 // Finish clearing
@@ -357,112 +497,242 @@ const finishClearing = (state) => {
     const newBoard = Physics.removeClearedLines(state.board, state.clearingLines);
     const linesCleared = state.clearingLines.length;
     
+    const backToBackCounter = nextBackToBack(state.backToBackCounter, linesCleared, state.pendingSpin);
+    const combo = state.combo + 1;
+    
+    // Outgoing attack cancels our own pending garbage before it's sent
+    const attack = calculateAttack({
+        lines: linesCleared,
+        spin: state.pendingSpin,
+        backToBack: backToBackCounter,
+        combo,
+        perfectClear: newBoard.every(row => row.every(cell => cell === null))
+    });
+    const offset = offsetGarbage(state.pendingGarbage, attack);
+    
     let newState = {
         ...state,
         board: newBoard,
         clearingLines: [],
+        pendingSpin: null,
+        pendingGarbage: offset.pending,
+        backToBackCounter,
+        combo,
+        lastClear: {
+            lines: linesCleared,
+            spin: state.pendingSpin,
+            backToBack: backToBackCounter,
+            combo,
+            attack: offset.attack,  // Lines to send to an opponent
+            time: state.elapsedTime
+        },
         lines: state.lines + linesCleared,
-        level: Math.floor((state.lines + linesCleared) / 10) + 1
+        level: levelForLines(state.mode, state.lines + linesCleared)
     };
     
-    // Update score and combo
+    // Update score (scoring reads the chain and combo from before this clear,
+    // and the board after it for perfect clears)
     if (state.scoringEngine) {
-        newState.score += state.scoringEngine.scoreLineClears(state, linesCleared, state.lastMove);
-        newState.combo = linesCleared > 0 ? state.combo + 1 : 0;
+        newState.score += state.scoringEngine.scoreLineClears(
+            { ...state, board: newBoard }, linesCleared, state.pendingSpin
+        );
+    }
+    
+    // Line goal modes end cleared
+    const goal = state.mode.goal;
+    if (goal && goal.lines && newState.lines >= goal.lines) {
+        return gameOver(newState, 'CLEAR');
+    }
+    
+    // Dig modes end once every garbage row is gone
+    if (goal && goal.digRows && countGarbageRows(newBoard) === 0) {
+        return gameOver(newState, 'CLEAR');
     }
     
     return spawnNextPiece(newState);
 };
 
+// Ten lines per level, held at the mode's cap
+const levelForLines = (mode, lines) => {
+    const level = Math.floor(lines / 10) + 1;
+    return mode.levelCap ? Math.min(level, mode.levelCap) : level;
+};
+
+// Has a timed mode's clock run out?
+const isTimeUp = (state) => {
+    const goal = state.mode.goal;
+    // Rounded so float accumulation of the tick rate can't cost a frame
+    return Boolean(goal && goal.timeLimit) && Math.round(state.elapsedTime) >= goal.timeLimit;
+};
+
+// Top out - endless modes wipe the board and keep going
+const topOut = (state) => {
+    if (!state.mode.endless) {
+        return gameOver(state);
+    }
+    
+    return spawnNextPiece({
+        ...state,
+        board: createEmptyBoard(state.mode.board),
+        current: null,
+        canHold: true
+    });
+};
+
+// Take the front of the preview queue and refill its tail from the randomizer
+const advanceQueue = (state) => {
+    const [front, ...rest] = state.queue;
+    return {
+        piece: front,
+        queue: [...rest, getNextPiece(state)]
+    };
+};
+
 // Spawn next piece
 const spawnNextPiece = (state) => {
     if (state.phase === 'GAME_OVER') return state;
     
     const newPiece = {
-        ...state.next,
+        ...state.queue[0],
         generation: state.generation + 1,
         upMovesUsed: 0
     };
     
     // Check if can spawn
     if (!Physics.canSpawn(state.board, newPiece)) {
-        return gameOver(state);
+        return topOut(state);
     }
     
-    // Get next piece
-    const nextPiece = getNextPiece(state);
+    // Consume the queue
+    const { queue } = advanceQueue(state);
     
     return {
         ...state,
         current: newPiece,
-        next: nextPiece,
+        queue,
         pieces: state.pieces + 1,
         phase: 'FALLING',
         generation: state.generation + 1
     };
 };
 
-// Game over
-const gameOver = (state) => {
+/**
+ * Modes the player ends from the pause screen - endless modes never finish,
+ * and practice keeps top outs as game overs so they can be undone
+ */
+export const canEndSession = (mode) => Boolean(mode.endless || mode.practice);
+
+/**
+ * End a running game from outside the engine, e.g. the winner of a versus match
+ */
+export const endGame = (state, outcome) =>
+    isRunning(state) ? gameOver(state, outcome) : state;
+
+// Game over - outcome says how the game ended (TOP_OUT | CLEAR | TIME_UP | QUIT | WIN)
+const gameOver = (state, outcome = 'TOP_OUT') => {
     if (state.scoringEngine) {
-        state.scoringEngine.finalizeGame(state);
+        state.scoringEngine.finalizeGame({ ...state, outcome });
     }
     
     return {
         ...state,
+        outcome,
         phase: 'GAME_OVER',
         current: null,
-        next: null
+        queue: []
     };
 };
 
-// Start game
-export const startGame = (state) => {
+// Start game - the injected seed fully determines the game
+export const startGame = (state, seed) => {
     if (state.phase === 'FALLING' || state.phase === 'LOCKING' || state.phase === 'CLEARING') {
         return state;
     }
     
+    if (!Number.isInteger(seed)) {
+        throw new Error('startGame requires an integer seed');
+    }
+    
     // Initialize
     const scoringEngine = new ScoringEngine();
-    const rng = state.rng || Random.createRNG(Date.now());
+    const rng = Random.createRNG(seed);
+    const fxRng = Random.createRNG(Random.deriveSeed(seed, 'fx'));
+    const randomizer = createRandomizer(state.mode.randomizer || 'weighted', rng);
+    const previewCount = clampPreviewCount(state.previewCount ?? state.mode.previewCount);
+    scoringEngine.initializeGame(seed, state.mode.name, { previewCount });
     
-    const emptyBoard = Array(20).fill().map(() => Array(10).fill(null));
+    const garbageRng = createGarbageRNG(seed);
+    const board = createStartingBoard(state.mode, garbageRng);
     
-    // Get initial pieces
-    const firstPiece = getNextPiece({ ...state, rng });
-    const nextPiece = getNextPiece({ ...state, rng });
+    // Get first piece and fill the preview queue
+    const firstPiece = getNextPiece({ ...state, rng, randomizer });
+    const queue = Array.from({ length: previewCount }, () =>
+        getNextPiece({ ...state, rng, randomizer })
+    );
     
     return {
         ...state,
-        board: emptyBoard,
+        board,
         phase: 'FALLING',
         current: { ...firstPiece, generation: 1, upMovesUsed: 0 },
-        next: nextPiece,
+        queue,
+        previewCount,
         score: 0,
         lines: 0,
         level: 1,
         pieces: 1,
         combo: 0,
+        outcome: null,
+        pausedPhase: null,
+        backToBackCounter: 0,
+        pendingSpin: null,
+        lastSpin: null,
+        lastClear: null,
         generation: 1,
         particles: [],
         scoringEngine,
         rng,
-        gravityAccumulator: 0,
-        startTime: Date.now()
+        fxRng,
+        randomizer,
+        garbageRng,
+        pendingGarbage: [],
+        pieceInputs: null,
+        finesse: createFinesseStats(),
+        seed,
+        frame: 0,
+        elapsedTime: 0,
+        gravityAccumulator: 0
     };
 };
 
+// Empty board, or the pre-generated garbage of a dig mode
+const createStartingBoard = (mode, garbageRng) => {
+    const board = createEmptyBoard(mode.board);
+    const digRows = mode.goal && mode.goal.digRows;
+    if (!digRows) return board;
+    
+    const rows = createGarbageRows(mode.board.width, digRows, garbageRng, mode.garbage || {});
+    return Physics.insertRowsAtBottom(board, rows);
+};
+
+// Preview queue length is 1-6 pieces
+const clampPreviewCount = (count) =>
+    Math.max(MIN_PREVIEW, Math.min(MAX_PREVIEW, count || MIN_PREVIEW));
+
 // Hold piece
 const tryHold = (state) => {
     if (!state.current || !state.canHold) return state;
     
     const held = state.current;
-    const newCurrent = state.hold || state.next;
+    
+    // Empty hold pulls the next piece from the queue
+    const fromQueue = state.hold ? null : advanceQueue(state);
+    const newCurrent = state.hold || fromQueue.piece;
     
     // Reset positions
-    const heldPiece = createPiece(held.type);
+    const heldPiece = createPiece(held.type, state.mode.board);
     const activePiece = {
-        ...createPiece(newCurrent.type),
+        ...createPiece(newCurrent.type, state.mode.board),
         generation: state.generation + 1,
         upMovesUsed: 0
     };
@@ -471,7 +741,7 @@ const tryHold = (state) => {
         ...state,
         current: activePiece,
         hold: heldPiece,
-        next: state.hold ? state.next : getNextPiece(state),
+        queue: fromQueue ? fromQueue.queue : state.queue,
         canHold: false,
         phase: 'FALLING',
         generation: state.generation + 1
@@ -4,26 +4,177 @@
  */
 
 import * as Random from './random.js';
+import { createRandomizer } from './randomizer.js';
 
-// Game mode configuration - pure data
+const NEON_PIECES = ['I', 'J', 'L', 'O', 'S', 'T', 'Z', 'FLOAT', 'PLUS', 'U', 'DOT'];
+const STANDARD_PIECES = ['I', 'J', 'L', 'O', 'S', 'T', 'Z'];
+
+// Guideline gravity curve: (0.8 - (level - 1) * 0.007) ^ (level - 1) seconds per row
+// From level 14 a row takes less than a tick, so pieces fall several rows per tick
+const guidelineGravity = (level) => Math.pow(0.8 - (level - 1) * 0.007, level - 1) * 1000;
+
+/**
+ * Game mode registry - pure data
+ *
+ * Optional rules on top of the physics settings:
+ * - goal.lines      Game ends cleared once this many lines are done
+ * - goal.timeLimit  Game ends when the simulated clock reaches this (ms)
+ * - levelCap        Level stops rising here
+ * - goal.digRows    Starts on this many garbage rows, ends cleared when they're gone
+ * - endless         Topping out wipes the board instead of ending the game
+ * - garbage         { messiness } for incoming garbage, or false to refuse it
+ * - ranking         Leaderboard order: 'score' (default) or 'time'
+ * - versus          Two players on one keyboard, no leaderboard
+ * - online          Versus against a remote player through the relay server
+ * - practice        Placements can be undone and redone, no leaderboard
+ */
 export const GAME_MODES = {
     neonDrop: {
         name: 'NEON_DROP',
+        label: 'NEON DROP',
         gravity: (level) => Math.max(50, 1000 - (level - 1) * 50),
         lockDelay: 500,
         maxLockTime: 5000,  // Added missing property
-        board: { width: 10, height: 20 },
-        pieces: ['I', 'J', 'L', 'O', 'S', 'T', 'Z', 'FLOAT', 'PLUS', 'U', 'DOT'],
-        progressive: true
+        board: { width: 10, height: 20, buffer: 0 },  // buffer = hidden rows above
+        pieces: NEON_PIECES,
+        progressive: true,
+        randomizer: 'weighted',  // random | weighted | bag7 | bag14 | history
+        previewCount: 3,         // Next queue length (1-6)
+        rotationSystem: 'SRS'    // SRS | SRS_PLUS | ARS | NONE
+    },
+    marathon: {
+        name: 'MARATHON',
+        label: 'MARATHON',
+        gravity: guidelineGravity,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        goal: { lines: 150 },
+        levelCap: 15
+    },
+    sprint: {
+        name: 'SPRINT',
+        label: 'SPRINT 40L',
+        gravity: () => 1000,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        goal: { lines: 40 },
+        ranking: 'time'
+    },
+    ultra: {
+        name: 'ULTRA',
+        label: 'ULTRA 2:00',
+        gravity: () => 1000,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        goal: { timeLimit: 120000 }
+    },
+    zen: {
+        name: 'ZEN',
+        label: 'ZEN',
+        gravity: () => 1000,
+        lockDelay: 1000,
+        maxLockTime: 10000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: NEON_PIECES,
+        progressive: true,
+        randomizer: 'weighted',
+        previewCount: 3,
+        rotationSystem: 'SRS',
+        endless: true,
+        garbage: false
+    },
+    practice: {
+        name: 'PRACTICE',
+        label: 'PRACTICE',
+        gravity: () => 1000,
+        lockDelay: 1000,
+        maxLockTime: 10000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        garbage: false,
+        practice: true
+    },
+    dig: {
+        name: 'DIG',
+        label: 'DIG RACE',
+        gravity: () => 1000,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        goal: { digRows: 10 },
+        garbage: { messiness: 0.4 },
+        ranking: 'time'
+    },
+    versus: {
+        name: 'VERSUS',
+        label: 'VERSUS 2P',
+        gravity: () => 1000,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        garbage: { messiness: 0.3 },
+        versus: true
+    },
+    online: {
+        name: 'ONLINE',
+        label: 'ONLINE 1V1',
+        gravity: () => 1000,
+        lockDelay: 500,
+        maxLockTime: 5000,
+        board: { width: 10, height: 20, buffer: 0 },
+        pieces: STANDARD_PIECES,
+        progressive: false,
+        randomizer: 'bag7',
+        previewCount: 5,
+        rotationSystem: 'SRS',
+        garbage: { messiness: 0.3 },
+        versus: true,
+        online: true
     }
 };
 
+// Menu order for the mode select
+export const MODE_KEYS = Object.keys(GAME_MODES);
+
 // Initial state factory - pure function
-export const createInitialState = () => ({
+export const createInitialState = (mode = GAME_MODES.neonDrop) => ({
     // Board state
-    board: createEmptyBoard(),
+    board: createEmptyBoard(mode.board),
     current: null,
-    next: null,
+    queue: [],           // Upcoming pieces, front is next to spawn
+    previewCount: null,  // Override for mode.previewCount
     hold: null,
     canHold: true,
     
@@ -32,14 +183,18 @@ export const createInitialState = () => ({
     
     // Game state
     phase: 'MENU',  // MENU | FALLING | LOCKING | CLEARING | PAUSED | GAME_OVER
-    mode: GAME_MODES.neonDrop,
+    pausedPhase: null,  // Phase to resume into
+    outcome: null,      // How the game ended: TOP_OUT | CLEAR | TIME_UP | QUIT | WIN
+    playerLabel: 'P1',  // HUD name - versus matches have a P2
+    mode,
     
     // Scoring
     score: 0,
-    highScore: loadHighScore(),
+    highScore: 0,  // Filled in from the leaderboard by the coordinator
     lines: 0,
     level: 1,
     combo: 0,
+    backToBackCounter: 0,  // Consecutive quads/spin clears - bonus applies from the second
     
     // Timers (in ms)
     lockTimer: 0,
@@ -49,18 +204,33 @@ export const createInitialState = () => ({
     
     // Stats
     pieces: 0,
-    startTime: null,
+    elapsedTime: 0,  // Simulated clock (ms of ticks) - never wall time
     generation: 0,  // Piece generation counter
     
     // Input state
     lastMove: null,
+    pieceInputs: null,  // { generation, presses, softDropped } for the current piece
+    finesse: null,      // Finesse totals, see finesse.js
+    
+    // Garbage waiting to rise: [{ lines }]
+    pendingGarbage: [],
+    
+    // Spins - pendingSpin waits for the clear animation, lastSpin is for display
+    pendingSpin: null,
+    lastSpin: null,
+    lastClear: null,  // { lines, spin, backToBack, combo, attack, time } of the most recent clear
     
     // Visual state
     particles: [],
     clearingLines: [],
     
-    // Random number generator
-    rng: null,
+    // Random number generators
+    rng: null,    // Game stream - pieces only
+    fxRng: null,  // Cosmetic stream - particles only
+    garbageRng: null,  // Garbage stream - hole columns only
+    randomizer: null,  // Piece selection strategy, draws from rng
+    seed: null,
+    frame: 0,
     
     // Performance
     shadowCache: new Map()  // Cache shadow calculations
@@ -139,37 +309,17 @@ const PIECE_PROGRESSION = [
 
 /**
  * Create empty board - pure function
+ * Rows 0..buffer-1 are the hidden buffer zone above the visible board
  */
-const createEmptyBoard = () => 
-    Array(20).fill(null).map(() => Array(10).fill(null));
-
-/**
- * Load high score - with error handling
- */
-const loadHighScore = () => {
-    try {
-        return parseInt(localStorage.getItem('neonDropHighScore') || '0');
-    } catch {
-        return 0;
-    }
-};
-
-/**
- * Save high score - side effect isolated
- */
-export const saveHighScore = (score) => {
-    try {
-        localStorage.setItem('neonDropHighScore', score.toString());
-    } catch (e) {
-        console.warn('Could not save high score:', e);
-    }
-};
+export const createEmptyBoard = ({ width, height, buffer = 0 }) =>
+    Array(height + buffer).fill(null).map(() => Array(width).fill(null));
 
 /**
  * Create a new piece - pure function
  * ALWAYS initializes all properties including upMovesUsed
+ * Spawns horizontally centered, with spawn.y relative to the visible top
  */
-export const createPiece = (type) => {
+export const createPiece = (type, board = GAME_MODES.neonDrop.board) => {
     const def = PIECE_DEFINITIONS[type];
     if (!def) {
         throw new Error(`Unknown piece type: ${type}`);
@@ -179,20 +329,21 @@ export const createPiece = (type) => {
         type,
         shape: def.shape,
         color: def.color,
-        gridX: def.spawn.x,
-        gridY: def.spawn.y,
+        gridX: Math.floor((board.width - def.shape[0].length) / 2),
+        gridY: def.spawn.y + (board.buffer || 0),
         rotation: 0,
+        kickIndex: null,  // Set by rotation, cleared by translation (spin detection)
         upMovesUsed: 0  // ALWAYS initialize for ALL pieces
     };
 };
 
 /**
- * Calculate skill score - pure function
+ * Calculate skill score - pure function of simulated time
  */
 const calculateSkillScore = (state) => {
-    if (!state.startTime || state.pieces === 0) return 0;
+    if (!state.elapsedTime || state.pieces === 0) return 0;
     
-    const elapsedSeconds = (Date.now() - state.startTime) / 1000;
+    const elapsedSeconds = state.elapsedTime / 1000;
     const pps = state.pieces / Math.max(1, elapsedSeconds);
     const efficiency = state.lines / state.pieces;
     
@@ -221,50 +372,25 @@ const getAvailablePieces = (state) => {
 };
 
 /**
- * Select weighted piece - pure function
- */
-const selectWeightedPiece = (availablePieces, rng) => {
-    // Special handling for FLOAT (7% chance)
-    if (availablePieces.includes('FLOAT') && rng.next() < 0.07) {
-        return 'FLOAT';
-    }
-    
-    // Weights for special pieces
-    const PIECE_WEIGHTS = {
-        'PLUS': 0.5,   // 50% weight
-        'U': 0.5,      // 50% weight
-        'DOT': 0.5,    // 50% weight
-        'DEFAULT': 1.0 // 100% weight
-    };
-    
-    // Build weighted array (excluding FLOAT since we handled it)
-    const weightedPieces = availablePieces
-        .filter(piece => piece !== 'FLOAT')
-        .flatMap(piece => {
-            const weight = PIECE_WEIGHTS[piece] || PIECE_WEIGHTS.DEFAULT;
-            const count = Math.floor(weight * 100);
-            return Array(count).fill(piece);
-        });
-    
-    return Random.choice(weightedPieces, rng);
-};
-
-/**
- * Get next piece - pure function with proper error handling
+ * Get next piece - delegates selection to the mode's randomizer
  */
 export const getNextPiece = (state) => {
     if (!state.rng) {
         throw new Error('RNG not initialized');
     }
     
+    if (!state.randomizer) {
+        throw new Error('Randomizer not initialized');
+    }
+    
     const availablePieces = getAvailablePieces(state);
     
     if (availablePieces.length === 0) {
         throw new Error('No pieces available');
     }
     
-    const pieceType = selectWeightedPiece(availablePieces, state.rng);
-    return createPiece(pieceType);
+    const pieceType = state.randomizer.next(availablePieces);
+    return createPiece(pieceType, state.mode.board);
 };
 
 /**
@@ -311,27 +437,68 @@ export const getBoardStats = (board) => {
 
 /**
  * Create state snapshot for replay/undo - pure function
+ * Captures the full engine state: RNG positions, randomizer memory and a
+ * copy of the scoring engine, so a restored game continues identically
  */
 export const createStateSnapshot = (state) => ({
+    ...state,
     board: state.board.map(row => [...row]),
-    score: state.score,
-    lines: state.lines,
-    level: state.level,
-    pieces: state.pieces,
-    timestamp: Date.now()
+    rng: state.rng ? state.rng.getState() : null,
+    fxRng: state.fxRng ? state.fxRng.getState() : null,
+    garbageRng: state.garbageRng ? state.garbageRng.getState() : null,
+    randomizer: state.randomizer
+        ? { type: state.randomizer.type, saved: state.randomizer.getState() }
+        : null,
+    scoringEngine: state.scoringEngine ? state.scoringEngine.clone() : null,
+    shadowCache: null
 });
 
+/**
+ * Live state from a snapshot - fresh generators each time, so one
+ * snapshot can be restored any number of times
+ */
+export const restoreStateSnapshot = (snapshot) => {
+    const restoreRNG = (saved) => {
+        if (saved === null) return null;
+        const rng = Random.createRNG(0);
+        rng.setState(saved);
+        return rng;
+    };
+    const rng = restoreRNG(snapshot.rng);
+    
+    let randomizer = null;
+    if (snapshot.randomizer) {
+        randomizer = createRandomizer(snapshot.randomizer.type, rng);
+        if (snapshot.randomizer.saved) {
+            randomizer.setState(snapshot.randomizer.saved);
+        }
+    }
+    
+    return {
+        ...snapshot,
+        board: snapshot.board.map(row => [...row]),
+        rng,
+        fxRng: restoreRNG(snapshot.fxRng),
+        garbageRng: restoreRNG(snapshot.garbageRng),
+        randomizer,
+        scoringEngine: snapshot.scoringEngine ? snapshot.scoringEngine.clone() : null,
+        shadowCache: new Map()
+    };
+};
+
 /**
  * Validate state integrity - pure function for debugging
  */
 export const validateState = (state) => {
     const errors = [];
     
-    if (!state.board || state.board.length !== 20) {
+    const { width, height, buffer = 0 } = state.mode.board;
+    
+    if (!state.board || state.board.length !== height + buffer) {
         errors.push('Invalid board dimensions');
     }
     
-    if (state.board.some(row => row.length !== 10)) {
+    if (state.board.some(row => row.length !== width)) {
         errors.push('Invalid board row width');
     }
     
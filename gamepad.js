@@ -0,0 +1,190 @@
+/**
+ * gamepad.js - Gamepad API support
+ *
+ * Pads are polled once per frame by the game loop. Buttons of the standard
+ * layout and the left stick's four directions become virtual key codes
+ * (PadA, PadLeft, StickLeft, ...), so pads go through the same key maps,
+ * bindings and input buffer as the keyboard. The stick only counts past a
+ * radial deadzone, and only along its dominant axis so a slightly diagonal
+ * push doesn't soft drop.
+ *
+ * Every controller model (gamepad.id) keeps its own bindings and deadzone.
+ * Back is reserved like Escape (keybindings.js).
+ *
+ * Data functions are pure; GamepadPoller reads navigator.getGamepads()
+ * and loadPadConfigs/savePadConfigs isolate the localStorage side effects.
+ */
+
+import { sanitizeBindings } from './keybindings.js';
+
+const STORAGE_KEY = 'neonDropPadBindings';
+
+// Button codes by index in the standard layout
+export const STANDARD_BUTTONS = [
+    'PadA', 'PadB', 'PadX', 'PadY',
+    'PadLB', 'PadRB', 'PadLT', 'PadRT',
+    'PadBack', 'PadStart', 'PadL3', 'PadR3',
+    'PadUp', 'PadDown', 'PadLeft', 'PadRight',
+    'PadHome'
+];
+
+// Triggers report analog values - half way counts as pressed
+const BUTTON_THRESHOLD = 0.5;
+
+export const DEADZONE_OPTIONS = [0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5];
+export const DEFAULT_DEADZONE = 0.25;
+
+// D-pad or stick to move, face buttons rotate, bumpers hold
+export const DEFAULT_PAD_BINDINGS = {
+    MOVE_LEFT: ['PadLeft', 'StickLeft'],
+    MOVE_RIGHT: ['PadRight', 'StickRight'],
+    SOFT_DROP: ['PadDown', 'StickDown'],
+    HARD_DROP: ['PadUp'],
+    UP: [],
+    ROTATE_CW: ['PadA'],
+    ROTATE_CCW: ['PadB'],
+    ROTATE_180: ['PadY'],
+    HOLD: ['PadLB', 'PadRB'],
+    ENTER: ['PadStart'],
+    UNDO: ['PadLT'],
+    REDO: ['PadRT'],
+    NEXT_MODE: ['PadX'],
+    GHOST: [],
+    BOT: [],
+    BOT_SLOWER: [],
+    BOT_FASTER: [],
+    NEXT_PROFILE: [],
+    NEW_PROFILE: [],
+    EXPORT_REPLAY: [],
+    VIEW_REPLAY: ['PadL3'],
+    SETTINGS: ['PadR3']
+};
+
+export const isPadCode = (code) => /^(Pad|Stick)/.test(code);
+
+/**
+ * Short model name from a gamepad id - browsers append vendor details in brackets
+ */
+export const padName = (id) => id.replace(/\(.*$/, '').trim().toUpperCase().slice(0, 24) || 'GAMEPAD';
+
+/**
+ * Stick direction past the deadzone - [] or one code along the dominant axis
+ */
+export const stickCodes = (x = 0, y = 0, deadzone = DEFAULT_DEADZONE) => {
+    if (Math.hypot(x, y) < deadzone) return [];
+
+    if (Math.abs(x) >= Math.abs(y)) {
+        return [x < 0 ? 'StickLeft' : 'StickRight'];
+    }
+    return [y < 0 ? 'StickUp' : 'StickDown'];
+};
+
+/**
+ * Codes held on a pad right now - buttons, then the left stick
+ */
+export const readPad = (gamepad, deadzone = DEFAULT_DEADZONE) => {
+    const buttons = STANDARD_BUTTONS.filter((code, i) => {
+        const button = gamepad.buttons[i];
+        return Boolean(button) && (button.pressed || button.value >= BUTTON_THRESHOLD);
+    });
+
+    return [...buttons, ...stickCodes(gamepad.axes[0], gamepad.axes[1], deadzone)];
+};
+
+/**
+ * Presses and releases between two polls - releases first
+ */
+export const diffCodes = (before, after) => [
+    ...before.filter(code => !after.includes(code)).map(code => ({ code, pressed: false })),
+    ...after.filter(code => !before.includes(code)).map(code => ({ code, pressed: true }))
+];
+
+/**
+ * Connected pads in slot order - getGamepads() leaves holes for unplugged pads
+ */
+export const connectedPads = (gamepads) =>
+    Array.from(gamepads || []).filter(pad => pad && pad.connected !== false);
+
+const readGamepads = () =>
+    typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+
+/**
+ * Polls the Gamepad API - call poll() once per fixed simulation tick
+ */
+export class GamepadPoller {
+    constructor(getDeadzone = () => DEFAULT_DEADZONE) {
+        this.getDeadzone = getDeadzone; // Deadzone for a controller id
+        this.held = new Map();          // Gamepad index -> codes held at the last poll
+    }
+
+    /**
+     * Changes since the last poll - [{ id, events }] per connected pad, in slot order
+     */
+    poll() {
+        const pads = connectedPads(readGamepads());
+
+        const result = pads.map(pad => {
+            const codes = readPad(pad, this.getDeadzone(pad.id));
+            const events = diffCodes(this.held.get(pad.index) || [], codes);
+            this.held.set(pad.index, codes);
+            return { id: pad.id, events };
+        });
+
+        // Forget unplugged pads so they start clean when they come back
+        [...this.held.keys()].forEach(index => {
+            if (!pads.some(pad => pad.index === index)) this.held.delete(index);
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Bindings and deadzone for a controller - defaults for a new model
+ */
+export const padConfig = (configs, id) => configs[id] || {
+    bindings: { ...DEFAULT_PAD_BINDINGS },
+    deadzone: DEFAULT_DEADZONE
+};
+
+/**
+ * Step the deadzone through its options, clamped at either end
+ */
+export const adjustDeadzone = (deadzone, step) => {
+    const index = DEADZONE_OPTIONS.reduce((best, option, i) =>
+        Math.abs(option - deadzone) < Math.abs(DEADZONE_OPTIONS[best] - deadzone) ? i : best, 0);
+    return DEADZONE_OPTIONS[Math.max(0, Math.min(DEADZONE_OPTIONS.length - 1, index + step))];
+};
+
+const sanitizeConfig = (stored) => ({
+    bindings: sanitizeBindings(stored && stored.bindings && typeof stored.bindings === 'object' ? stored.bindings : {}, DEFAULT_PAD_BINDINGS),
+    deadzone: Number.isFinite(stored && stored.deadzone)
+        ? Math.max(DEADZONE_OPTIONS[0], Math.min(DEADZONE_OPTIONS[DEADZONE_OPTIONS.length - 1], stored.deadzone))
+        : DEFAULT_DEADZONE
+});
+
+/**
+ * Load every controller's config - { [gamepad.id]: { bindings, deadzone } }
+ */
+export const loadPadConfigs = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!stored || typeof stored !== 'object') return {};
+        return Object.fromEntries(Object.entries(stored).map(([id, config]) => [id, sanitizeConfig(config)]));
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Save controller configs - side effect isolated
+ */
+export const savePadConfigs = (configs) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(configs));
+        return true;
+    } catch (e) {
+        console.warn('Could not save gamepad bindings:', e);
+        return false;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * gamepad.test.js - Polling against a mocked navigator.getGamepads
+ *
+ * Drives GamepadPoller with fake pads: presses and releases between
+ * polls, the left stick's deadzone and dominant axis, and pads that
+ * unplug and come back.
+ *
+ * Run with: node --test gamepad.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GamepadPoller, STANDARD_BUTTONS, stickCodes } from './gamepad.js';
+
+// What getGamepads() returns - slots can hold null like the real API
+let slots = [];
+
+Object.defineProperty(globalThis, 'navigator', {
+    value: { getGamepads: () => slots },
+    configurable: true
+});
+
+const createPad = (index, { id = `Pad ${index}`, pressed = [], values = {}, axes = [0, 0] } = {}) => ({
+    index,
+    id,
+    connected: true,
+    axes,
+    buttons: STANDARD_BUTTONS.map(code => ({
+        pressed: pressed.includes(code),
+        value: values[code] ?? (pressed.includes(code) ? 1 : 0)
+    }))
+});
+
+const eventsOf = (result, slot = 0) => result[slot].events;
+
+beforeEach(() => {
+    slots = [];
+});
+
+test('a new press is reported once, then nothing while it is held', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { pressed: ['PadA'] })];
+    assert.deepEqual(eventsOf(poller.poll()), [{ code: 'PadA', pressed: true }]);
+    assert.deepEqual(eventsOf(poller.poll()), []);
+});
+
+test('releases come before presses in the same poll', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { pressed: ['PadA'] })];
+    poller.poll();
+
+    slots = [createPad(0, { pressed: ['PadB'] })];
+    assert.deepEqual(eventsOf(poller.poll()), [
+        { code: 'PadA', pressed: false },
+        { code: 'PadB', pressed: true }
+    ]);
+});
+
+test('analog triggers count as pressed from half way', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { values: { PadLT: 0.4 } })];
+    assert.deepEqual(eventsOf(poller.poll()), []);
+
+    slots = [createPad(0, { values: { PadLT: 0.6 } })];
+    assert.deepEqual(eventsOf(poller.poll()), [{ code: 'PadLT', pressed: true }]);
+});
+
+test('the stick stays silent inside the deadzone', () => {
+    const poller = new GamepadPoller(() => 0.25);
+
+    slots = [createPad(0, { axes: [0.15, -0.15] })];
+    assert.deepEqual(eventsOf(poller.poll()), []);
+
+    slots = [createPad(0, { axes: [0.3, 0] })];
+    assert.deepEqual(eventsOf(poller.poll()), [{ code: 'StickRight', pressed: true }]);
+});
+
+test('the deadzone is radial and only the dominant axis counts', () => {
+    assert.deepEqual(stickCodes(0.2, 0.2, 0.25), ['StickRight']);
+    assert.deepEqual(stickCodes(0.6, 0.5), ['StickRight']);
+    assert.deepEqual(stickCodes(-0.3, 0.9), ['StickDown']);
+    assert.deepEqual(stickCodes(0.1, -0.8), ['StickUp']);
+    assert.deepEqual(stickCodes(0.2, 0.1, 0.1), ['StickRight']);
+});
+
+test('each controller model gets its own deadzone', () => {
+    const poller = new GamepadPoller(id => id === 'Loose' ? 0.5 : 0.1);
+
+    slots = [
+        createPad(0, { id: 'Loose', axes: [-0.3, 0] }),
+        createPad(1, { id: 'Tight', axes: [-0.3, 0] })
+    ];
+    const result = poller.poll();
+
+    assert.deepEqual(eventsOf(result, 0), []);
+    assert.deepEqual(eventsOf(result, 1), [{ code: 'StickLeft', pressed: true }]);
+});
+
+test('a stick swinging to another direction releases the old one', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { axes: [-1, 0] })];
+    poller.poll();
+
+    slots = [createPad(0, { axes: [0, 1] })];
+    assert.deepEqual(eventsOf(poller.poll()), [
+        { code: 'StickLeft', pressed: false },
+        { code: 'StickDown', pressed: true }
+    ]);
+});
+
+test('pads are listed in slot order, skipping empty slots', () => {
+    const poller = new GamepadPoller();
+
+    slots = [null, createPad(1, { id: 'Second' }), null, createPad(3, { id: 'Fourth' })];
+    assert.deepEqual(poller.poll().map(pad => pad.id), ['Second', 'Fourth']);
+
+    slots = [null, createPad(1, { id: 'Second' }), null, { ...createPad(3, { id: 'Fourth' }), connected: false }];
+    assert.deepEqual(poller.poll().map(pad => pad.id), ['Second']);
+});
+
+test('an unplugged pad is forgotten and starts clean when it comes back', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { pressed: ['PadA'] })];
+    poller.poll();
+
+    slots = [];
+    assert.deepEqual(poller.poll(), []);
+    assert.equal(poller.held.size, 0);
+
+    slots = [createPad(0, { pressed: ['PadA'] })];
+    assert.deepEqual(eventsOf(poller.poll()), [{ code: 'PadA', pressed: true }]);
+});
+
+test('unplugging one pad leaves the other one held', () => {
+    const poller = new GamepadPoller();
+
+    slots = [createPad(0, { pressed: ['PadA'] }), createPad(1, { pressed: ['PadB'] })];
+    poller.poll();
+
+    slots = [null, createPad(1, { pressed: ['PadB'] })];
+    const result = poller.poll();
+
+    assert.equal(result.length, 1);
+    assert.deepEqual(eventsOf(result), []);
+    assert.deepEqual(poller.held.get(1), ['PadB']);
+});
\ No newline at end of file
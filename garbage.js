@@ -0,0 +1,57 @@
+/**
+ * garbage.js - Garbage rows
+ *
+ * Garbage is a full row with one hole column, pushed up from the bottom.
+ * - Clean garbage keeps the hole in the same column for the whole batch
+ * - Messy garbage moves the hole between rows with the given probability
+ *
+ * Holes are drawn from the game's garbage RNG stream (derived from the
+ * seed), so replays reproduce every row without touching the piece sequence.
+ */
+
+import * as Random from './random.js';
+
+export const GARBAGE_COLOR = '#808080';
+
+/**
+ * Pick a hole column different from the current one
+ */
+const moveHole = (width, hole, rng) => {
+    const offset = 1 + Math.floor(rng.next() * (width - 1));
+    return (hole + offset) % width;
+};
+
+/**
+ * Create garbage rows - messiness 0 is clean, 1 changes the hole every row
+ */
+export const createGarbageRows = (width, count, rng, { messiness = 0 } = {}) => {
+    const rows = [];
+    let hole = Math.floor(rng.next() * width);
+
+    for (let i = 0; i < count; i++) {
+        if (i > 0 && messiness > 0 && rng.next() < messiness) {
+            hole = moveHole(width, hole, rng);
+        }
+        rows.push(Array.from({ length: width }, (_, x) => x === hole ? null : GARBAGE_COLOR));
+    }
+
+    return rows;
+};
+
+/**
+ * Garbage rows still on the board - pure function
+ */
+export const isGarbageRow = (row) => row.includes(GARBAGE_COLOR);
+
+export const countGarbageRows = (board) => board.filter(isGarbageRow).length;
+
+/**
+ * Total lines waiting in a pending garbage queue
+ */
+export const pendingGarbageLines = (pending) =>
+    (pending || []).reduce((total, batch) => total + batch.lines, 0);
+
+/**
+ * Create the seeded garbage stream for a game
+ */
+export const createGarbageRNG = (seed) => Random.createRNG(Random.deriveSeed(seed, 'garbage'));
\ No newline at end of file
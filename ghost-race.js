@@ -0,0 +1,87 @@
+/**
+ * ghost-race.js - Race the live game against a recorded replay
+ *
+ * The ghost is a replay player stepped frame-for-frame alongside the
+ * live game. The live game starts from the ghost's seed, mode and
+ * options, so both runs see the same pieces.
+ *
+ * Deltas compare the two runs at the current frame:
+ * - lines and score, ahead positive
+ * - time: how much sooner (negative) or later the live run reached its
+ *   current line count than the ghost did
+ *
+ * Pure functions: the race tracker is replaced, never mutated.
+ */
+
+import { createInitialState } from './game-state.js';
+import * as Engine from './game-engine.js';
+import { createReplayPlayer, stepReplay, isReplayFinished, replayOptions } from './replay-player.js';
+
+// Record the first time each line count was reached
+const recordLineTimes = (lineTimes, state) => {
+    if (lineTimes.length > state.lines) return lineTimes;
+
+    const next = [...lineTimes];
+    for (let n = lineTimes.length; n <= state.lines; n++) {
+        next[n] = state.elapsedTime;
+    }
+    return next;
+};
+
+/**
+ * Start a race - returns the live state and the race tracker
+ * The live game takes the ghost's mode, options and seed on top of base
+ */
+export const startRace = (replay, base = null) => {
+    const ghost = createReplayPlayer(replay);
+    const { mode } = ghost.state;
+    const initial = {
+        ...(base && base.mode === mode ? base : createInitialState(mode)),
+        ...replayOptions(ghost.replay.options),
+        mode
+    };
+    const state = Engine.startGame(initial, ghost.replay.seed);
+
+    return {
+        state,
+        race: { ghost, ghostLineTimes: [0], liveLineTimes: [0] }
+    };
+};
+
+/**
+ * Step the ghost until it has caught up with the live frame
+ */
+export const advanceRace = (race, state) => {
+    let { ghost, ghostLineTimes } = race;
+
+    while (ghost.state.frame < state.frame && !isReplayFinished(ghost)) {
+        ghost = stepReplay(ghost);
+        ghostLineTimes = recordLineTimes(ghostLineTimes, ghost.state);
+    }
+
+    return {
+        ghost,
+        ghostLineTimes,
+        liveLineTimes: recordLineTimes(race.liveLineTimes, state)
+    };
+};
+
+export const isGhostFinished = (race) => isReplayFinished(race.ghost);
+
+/**
+ * Live minus ghost - pure function
+ * time compares when each run reached the live line count (negative = ahead);
+ * null until the ghost has got there too
+ */
+export const raceDelta = (race, state) => {
+    const ghostTime = race.ghostLineTimes[state.lines];
+    const liveTime = race.liveLineTimes[state.lines];
+
+    return {
+        lines: state.lines - race.ghost.state.lines,
+        score: state.score - race.ghost.state.score,
+        time: state.lines > 0 && ghostTime !== undefined && liveTime !== undefined
+            ? liveTime - ghostTime
+            : null
+    };
+};
\ No newline at end of file
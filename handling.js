@@ -0,0 +1,100 @@
+/**
+ * handling.js - Movement tuning (DAS, ARR, soft drop, DAS cut)
+ *
+ * - das: ms a sideways key is held before it auto-shifts
+ * - arr: ms between auto-shift steps, 0 shifts straight to the wall
+ * - sdf: soft drop speed as a multiple of gravity, SONIC_SDF drops
+ *   straight to the floor without locking
+ * - dcd: ms auto-shift pauses after a rotation, hold or hard drop
+ * - preserveDas: a charged shift carries over to the next piece instead
+ *   of charging again
+ *
+ * Each profile keeps its own handling. Values step through fixed lists
+ * in the settings overlay; stored values are clamped back into range.
+ *
+ * Pure functions.
+ */
+
+export const SONIC_SDF = 41;
+
+export const DEFAULT_HANDLING = {
+    das: 133,
+    arr: 10,
+    sdf: 20,
+    dcd: 0,
+    preserveDas: true
+};
+
+/**
+ * Settings overlay rows, in order - numeric fields step through their options
+ */
+export const HANDLING_FIELDS = [
+    { key: 'das', label: 'DAS', options: [0, 33, 50, 67, 83, 100, 117, 133, 150, 167, 183, 200, 250, 300] },
+    { key: 'arr', label: 'ARR', options: [0, 5, 10, 17, 33, 50, 67, 83, 100] },
+    { key: 'sdf', label: 'SOFT DROP', options: [1, 2, 5, 10, 20, 30, 40, SONIC_SDF] },
+    { key: 'dcd', label: 'DAS CUT', options: [0, 17, 33, 50, 67, 83, 100] },
+    { key: 'preserveDas', label: 'KEEP DAS' }
+];
+
+const findField = (key) => HANDLING_FIELDS.find(field => field.key === key);
+
+// Closest option to a value that may have come from an older list
+const nearestIndex = (options, value) =>
+    options.reduce((best, option, i) =>
+        Math.abs(option - value) < Math.abs(options[best] - value) ? i : best, 0);
+
+/**
+ * Step a field through its options, clamped at either end; toggles booleans
+ */
+export const adjustHandling = (handling, key, step) => {
+    const field = findField(key);
+    if (!field.options) {
+        return { ...handling, [key]: !handling[key] };
+    }
+
+    const index = nearestIndex(field.options, handling[key]);
+    const next = Math.max(0, Math.min(field.options.length - 1, index + step));
+    return { ...handling, [key]: field.options[next] };
+};
+
+/**
+ * Display value for the overlay
+ */
+export const formatHandling = (handling, key) => {
+    const value = handling[key];
+    switch (key) {
+        case 'arr':
+            return value === 0 ? 'INSTANT' : `${value}MS`;
+        case 'sdf':
+            return value >= SONIC_SDF ? 'SONIC' : `${value}X`;
+        case 'preserveDas':
+            return value ? 'ON' : 'OFF';
+        default:
+            return `${value}MS`;
+    }
+};
+
+/**
+ * Fill in missing fields and clamp stored ones to their option range
+ */
+export const sanitizeHandling = (stored) => {
+    const handling = { ...DEFAULT_HANDLING };
+    if (!stored || typeof stored !== 'object') return handling;
+
+    HANDLING_FIELDS.forEach(({ key, options }) => {
+        const value = stored[key];
+        if (!options) {
+            if (typeof value === 'boolean') handling[key] = value;
+        } else if (Number.isFinite(value)) {
+            handling[key] = Math.max(options[0], Math.min(options[options.length - 1], value));
+        }
+    });
+
+    return handling;
+};
+
+/**
+ * Milliseconds per soft drop row at the given gravity - 0 for sonic drop
+ */
+export const softDropInterval = (handling, gravity) =>
+    handling.sdf >= SONIC_SDF ? 0 : gravity / handling.sdf;
\ No newline at end of file
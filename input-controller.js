@@ -2,25 +2,129 @@
  * input-controller.js - State-aware input handling
  * 
  * Features:
+ * - Frame-synchronous: key events are buffered and applied by update(),
+ *   once per fixed simulation tick, so every action lands on a frame
  * - DAS (Delayed Auto Shift) for smooth piece movement
- * - ARR (Auto Repeat Rate) for continuous input
+ * - ARR (Auto Repeat Rate) for continuous input, 0 shifts to the wall
+ * - Soft drop factor, DAS cut delay and DAS charge carry-over (handling.js)
  * - State awareness - blocks invalid inputs based on game phase
  * - Professional input handling like modern Tetris games
  * 
  * FIXED: Continuous validation during auto-repeat
+ * UPDATED: Key maps are swappable so versus can split the keyboard
+ * UPDATED: Single player keys come from rebindable bindings; the next key
+ *          press can be captured raw for the settings overlay
+ * UPDATED: Gamepad buttons arrive as virtual key codes (gamepad.js) through
+ *          padInput() and share the key maps, buffer and capture
  */
 
+import { createKeyMap, DEFAULT_BINDINGS, RESERVED_KEYS } from './keybindings.js';
+import { DEFAULT_HANDLING, softDropInterval } from './handling.js';
+
+// Handling is set in ms and counted in frames of the game loop's fixed tick
+const FRAME_MS = 1000 / 60;
+const toFrames = (ms) => ms / FRAME_MS;
+
+// Held keys only repeat while a game is running
+const RUNNING_PHASES = ['FALLING', 'LOCKING', 'CLEARING'];
+
+// Presses that pause auto-shift for the DAS cut delay
+const DAS_CUT_ACTIONS = ['ROTATE', 'ROTATE_180', 'UP_PRESSED', 'HOLD', 'SPACE', 'HARD_DROP'];
+
+// Single player: the player's bindings (keybindings.js), defaults until loaded
+export const DEFAULT_KEY_MAP = createKeyMap(DEFAULT_BINDINGS);
+
+// Settings overlay - fixed keys and pad buttons so a bad binding can always be undone
+const SETTINGS_ACTIONS = ['SETTINGS', 'SETTINGS_MOVE', 'SETTINGS_ADJUST', 'SETTINGS_BIND', 'SETTINGS_CLEAR', 'SETTINGS_RESET'];
+
+export const SETTINGS_KEY_MAP = {
+    'ArrowUp': { type: 'SETTINGS_MOVE', step: -1 },
+    'ArrowDown': { type: 'SETTINGS_MOVE', step: 1 },
+    'ArrowLeft': { type: 'SETTINGS_ADJUST', step: -1 },
+    'ArrowRight': { type: 'SETTINGS_ADJUST', step: 1 },
+    'Enter': { type: 'SETTINGS_BIND' },
+    'Space': { type: 'SETTINGS_BIND' },
+    'Backspace': { type: 'SETTINGS_CLEAR' },
+    'Delete': { type: 'SETTINGS_CLEAR' },
+    'KeyR': { type: 'SETTINGS_RESET' },
+    'Escape': { type: 'ESCAPE' },
+    'PadUp': { type: 'SETTINGS_MOVE', step: -1 },
+    'PadDown': { type: 'SETTINGS_MOVE', step: 1 },
+    'PadLeft': { type: 'SETTINGS_ADJUST', step: -1 },
+    'PadRight': { type: 'SETTINGS_ADJUST', step: 1 },
+    'StickUp': { type: 'SETTINGS_MOVE', step: -1 },
+    'StickDown': { type: 'SETTINGS_MOVE', step: 1 },
+    'StickLeft': { type: 'SETTINGS_ADJUST', step: -1 },
+    'StickRight': { type: 'SETTINGS_ADJUST', step: 1 },
+    'PadA': { type: 'SETTINGS_BIND' },
+    'PadX': { type: 'SETTINGS_CLEAR' },
+    'PadY': { type: 'SETTINGS_RESET' },
+    'PadB': { type: 'ESCAPE' },
+    'PadBack': { type: 'ESCAPE' }
+};
+
+// Actions that only mean something outside a running game
+const SCREEN_ACTIONS = ['NEXT_MODE', 'GHOST', 'BOT', 'BOT_SPEED', 'NEXT_PROFILE', 'NEW_PROFILE', 'EXPORT_REPLAY', 'VIEW_REPLAY', ...SETTINGS_ACTIONS];
+
+// Replay viewer playback controls
+export const VIEWER_KEY_MAP = {
+    'Space': { type: 'VIEW_PAUSE' },
+    'ArrowLeft': { type: 'VIEW_SEEK', seconds: -5 },
+    'ArrowRight': { type: 'VIEW_SEEK', seconds: 5 },
+    'Comma': { type: 'VIEW_STEP', frames: -1 },
+    'Period': { type: 'VIEW_STEP', frames: 1 },
+    'ArrowUp': { type: 'VIEW_SPEED', step: 1 },
+    'ArrowDown': { type: 'VIEW_SPEED', step: -1 },
+    'Escape': { type: 'ESCAPE' },
+    'PadA': { type: 'VIEW_PAUSE' },
+    'PadLeft': { type: 'VIEW_SEEK', seconds: -5 },
+    'PadRight': { type: 'VIEW_SEEK', seconds: 5 },
+    'PadLB': { type: 'VIEW_STEP', frames: -1 },
+    'PadRB': { type: 'VIEW_STEP', frames: 1 },
+    'PadUp': { type: 'VIEW_SPEED', step: 1 },
+    'PadDown': { type: 'VIEW_SPEED', step: -1 },
+    'PadB': { type: 'ESCAPE' },
+    'PadBack': { type: 'ESCAPE' }
+};
+
+// Versus P1: left side of the keyboard (also owns pause)
+export const P1_KEY_MAP = {
+    'KeyA': { type: 'MOVE', dx: -1, dy: 0 },
+    'KeyD': { type: 'MOVE', dx: 1, dy: 0 },
+    'KeyS': { type: 'MOVE', dx: 0, dy: 1 },
+    'KeyW': { type: 'UP_PRESSED' },
+    'KeyQ': { type: 'ROTATE', direction: -1 },
+    'KeyE': { type: 'ROTATE', direction: 1 },
+    'Space': { type: 'SPACE' },
+    'KeyC': { type: 'HOLD' },
+    'Escape': { type: 'ESCAPE' }
+};
+
+// Versus P2: arrows and the right side
+export const P2_KEY_MAP = {
+    'ArrowLeft': { type: 'MOVE', dx: -1, dy: 0 },
+    'ArrowRight': { type: 'MOVE', dx: 1, dy: 0 },
+    'ArrowDown': { type: 'MOVE', dx: 0, dy: 1 },
+    'ArrowUp': { type: 'UP_PRESSED' },
+    'Comma': { type: 'ROTATE', direction: -1 },
+    'Period': { type: 'ROTATE', direction: 1 },
+    'Enter': { type: 'HARD_DROP' },
+    'ShiftRight': { type: 'HOLD' }
+};
+
 export class InputController {
-    constructor(onAction, getState) {
+    constructor(onAction, getState, keyMap = DEFAULT_KEY_MAP) {
         this.onAction = onAction;
         this.getState = getState; // Get current game state
-        this.keys = new Map();
-        this.das = new Map(); // Delayed Auto Shift timers
-        this.arr = new Map(); // Auto Repeat Rate timers
+        this.keyMap = keyMap;
+        this.keys = new Set();   // Keys down right now
+        this.buffer = [];        // Presses and releases waiting for the next frame
+        this.held = new Map();   // Movement keys held in the simulation -> DAS/ARR counters
+        this.capture = null; // Callback waiting for a raw key press
         
-        // Timing configuration (milliseconds)
-        this.DAS_DELAY = 133; // Time before auto-repeat starts
-        this.ARR_RATE = 10;   // Time between repeats
+        // Timing configuration (handling.js) - set per profile, counted in frames
+        this.handling = DEFAULT_HANDLING;
+        this.dasCut = 0; // Frames auto-shift still waits after a rotation, hold or drop
         
         // Track last successful move position to prevent ghosting
         this.lastValidPosition = null;
@@ -37,17 +141,75 @@ export class InputController {
         // Ignore held keys
         if (this.keys.has(e.code)) return;
         
-        this.keys.set(e.code, true);
+        this.keys.add(e.code);
+        
+        // Rebinding - the key itself is the answer (Escape still cancels)
+        if (this.capture && !RESERVED_KEYS[e.code]) {
+            const onKey = this.capture;
+            this.capture = null;
+            onKey(e.code);
+            return;
+        }
+        
+        this.buffer.push({ code: e.code, pressed: true });
+    }
+    
+    onKeyUp(e) {
+        this.keys.delete(e.code);
+        this.buffer.push({ code: e.code, pressed: false });
+    }
+    
+    /**
+     * A gamepad press or release from GamepadPoller - handled like a key
+     */
+    padInput({ code, pressed }) {
+        if (pressed) {
+            this.onKeyDown({ code });
+        } else {
+            this.onKeyUp({ code });
+        }
+    }
+    
+    /**
+     * Consume one frame of input - call once per fixed simulation tick
+     * Presses and releases since the last frame apply in order, then held
+     * movement keys advance their DAS/ARR counters by one frame
+     */
+    update() {
+        const events = this.buffer;
+        this.buffer = [];
+        
+        const fresh = new Set();
+        events.forEach(({ code, pressed }) => {
+            if (pressed) {
+                this.press(code);
+                fresh.add(code);
+            } else {
+                this.release(code);
+                fresh.delete(code);
+            }
+        });
+        
+        this.held.forEach((hold, code) => this.advanceHold(code, hold, fresh.has(code)));
         
+        if (this.dasCut > 0) this.dasCut--;
+    }
+    
+    press(code) {
         // Convert key to game action
-        const action = this.keyToAction(e.code);
+        const action = this.keyToAction(code);
         if (!action) return;
         
         // Check if action is allowed in current state
         if (!this.isActionAllowed(action)) return;
         
-        // Execute action immediately
-        const actionResult = this.onAction(action);
+        // Execute action on this frame
+        this.onAction(action);
+        
+        // Rotations, holds and drops pause auto-shift for the DAS cut delay
+        if (DAS_CUT_ACTIONS.includes(action.type)) {
+            this.dasCut = toFrames(this.handling.dcd);
+        }
         
         // Track position for movement actions
         if (action.type === 'MOVE') {
@@ -60,62 +222,95 @@ export class InputController {
             }
             
             // Setup auto-repeat for movement
-            this.startAutoRepeat(e.code, action);
+            this.held.set(code, {
+                action,
+                frames: 0,        // Frames held, for DAS
+                charge: 0,        // Frames banked toward the next repeat
+                shifting: false,  // DAS has run out
+                blocked: false,   // Against a wall until the next piece
+                generation: state.current?.generation
+            });
         }
     }
     
-    onKeyUp(e) {
-        this.keys.delete(e.code);
-        this.stopAutoRepeat(e.code);
+    release(code) {
+        this.held.delete(code);
         
         // Clear position tracking when key is released
-        if (this.keyToAction(e.code)?.type === 'MOVE') {
+        if (this.keyToAction(code)?.type === 'MOVE') {
             this.lastValidPosition = null;
         }
     }
     
     keyToAction(keyCode) {
-        const mapping = {
-            // Movement
-            'ArrowLeft': { type: 'MOVE', dx: -1, dy: 0 },
-            'KeyA': { type: 'MOVE', dx: -1, dy: 0 },
-            'ArrowRight': { type: 'MOVE', dx: 1, dy: 0 },
-            'KeyD': { type: 'MOVE', dx: 1, dy: 0 },
-            'ArrowDown': { type: 'MOVE', dx: 0, dy: 1 },
-            'KeyS': { type: 'MOVE', dx: 0, dy: 1 },
-            
-            // Just report UP was pressed
-            'ArrowUp': { type: 'UP_PRESSED' },
-            'KeyW': { type: 'UP_PRESSED' },
-            
-            // Other rotation keys  
-            'KeyZ': { type: 'ROTATE', direction: -1 },
-            'ShiftLeft': { type: 'ROTATE', direction: -1 },
-            'KeyX': { type: 'ROTATE', direction: 1 },
-            'ControlLeft': { type: 'ROTATE', direction: 1 },
-            
-            // Special actions
-            'Space': { type: 'SPACE' },
-            'KeyC': { type: 'HOLD' },
-            'ShiftRight': { type: 'HOLD' },
-            'Escape': { type: 'ESCAPE' },
-            'Enter': { type: 'ENTER' }
-        };
+        return this.keyMap[keyCode];
+    }
+    
+    /**
+     * Swap the key map - held keys, buffered input and a pending capture are dropped
+     */
+    setKeyMap(keyMap) {
+        this.keys.clear();
+        this.buffer = [];
+        this.held.clear();
+        this.capture = null;
+        this.lastValidPosition = null;
+        this.keyMap = keyMap;
+    }
+    
+    /**
+     * Swap the key map but keep input in flight (a pad connecting mid-game)
+     * - only keys whose binding changed are dropped
+     */
+    updateKeyMap(keyMap) {
+        const previous = this.keyMap;
+        const rebound = (code) => JSON.stringify(previous[code]) !== JSON.stringify(keyMap[code]);
         
-        return mapping[keyCode];
+        [...this.keys].filter(rebound).forEach(code => this.keys.delete(code));
+        [...this.held.keys()].filter(rebound).forEach(code => this.held.delete(code));
+        this.buffer = this.buffer.filter(({ code }) => !rebound(code));
+        this.keyMap = keyMap;
+    }
+    
+    /**
+     * Hand the next key press to onKey(code) instead of the key map
+     */
+    captureNextKey(onKey) {
+        this.capture = onKey;
+    }
+    
+    cancelCapture() {
+        this.capture = null;
     }
     
     isActionAllowed(action) {
         const state = this.getState();
         
-        // Menu/Game Over - only allow start keys
-        if (state.phase === 'MENU' || state.phase === 'GAME_OVER') {
-            return action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE';
+        // Menu - start keys, mode select and profile picker
+        if (state.phase === 'MENU') {
+            return ['SPACE', 'ENTER', 'ESCAPE', 'NEXT_MODE', 'GHOST', 'BOT', 'BOT_SPEED', 'VIEW_REPLAY', 'NEXT_PROFILE', 'NEW_PROFILE'].includes(action.type) ||
+                SETTINGS_ACTIONS.includes(action.type);
+        }
+        
+        // Replay viewer - the viewer key map only has playback controls
+        if (state.phase === 'REPLAY') {
+            return true;
+        }
+        
+        // Game Over - start keys and replay export
+        if (state.phase === 'GAME_OVER') {
+            return ['SPACE', 'ENTER', 'ESCAPE', 'EXPORT_REPLAY', 'VIEW_REPLAY', 'UNDO'].includes(action.type);
         }
         
-        // Paused - only allow unpause
+        // Paused - unpause, or change keys in the settings overlay
         if (state.phase === 'PAUSED') {
-            return action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE';
+            return action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE' ||
+                SETTINGS_ACTIONS.includes(action.type);
+        }
+        
+        // Menu and end screen keys would otherwise be recorded as game inputs
+        if (SCREEN_ACTIONS.includes(action.type)) {
+            return false;
         }
         
         // CRITICAL: Block downward movement in LOCKING phase
@@ -140,72 +335,106 @@ export class InputController {
         return true;
     }
     
-    startAutoRepeat(keyCode, action) {
-        // DAS: Wait before starting repeat
-        const dasTimer = setTimeout(() => {
-            // ARR: Repeat at fixed rate
-            const arrTimer = setInterval(() => {
-                if (this.keys.has(keyCode)) {
-                    // Re-validate action before each repeat
-                    if (this.isActionAllowed(action)) {
-                        // Check current position before action
-                        const stateBefore = this.getState();
-                        const posBefore = stateBefore.current ? {
-                            x: stateBefore.current.gridX,
-                            y: stateBefore.current.gridY
-                        } : null;
-                        
-                        // Execute action
-                        this.onAction(action);
-                        
-                        // Verify position after action
-                        const stateAfter = this.getState();
-                        const posAfter = stateAfter.current ? {
-                            x: stateAfter.current.gridX,
-                            y: stateAfter.current.gridY
-                        } : null;
-                        
-                        // If position didn't change for horizontal move, stop repeating
-                        if (action.dx !== 0 && posBefore && posAfter &&
-                            posBefore.x === posAfter.x && posBefore.y === posAfter.y) {
-                            // Hit a wall, stop auto-repeat
-                            clearInterval(arrTimer);
-                            this.arr.delete(keyCode);
-                        } else if (posAfter) {
-                            // Update tracked position
-                            this.lastValidPosition = posAfter;
-                        }
-                    } else {
-                        // Action no longer allowed, stop
-                        clearInterval(arrTimer);
-                        this.arr.delete(keyCode);
-                    }
-                } else {
-                    // Key released, stop
-                    clearInterval(arrTimer);
-                    this.arr.delete(keyCode);
-                }
-            }, this.ARR_RATE);
-            
-            this.arr.set(keyCode, arrTimer);
-        }, this.DAS_DELAY);
+    /**
+     * Movement tuning from handling.js - applies from the next frame on
+     */
+    setHandling(handling) {
+        this.handling = handling;
+    }
+    
+    /**
+     * One frame of a held movement key - auto-repeat only runs while a game runs
+     */
+    advanceHold(code, hold, fresh) {
+        const state = this.getState();
+        if (!RUNNING_PHASES.includes(state.phase)) {
+            this.held.delete(code);
+            return;
+        }
+        
+        // A new piece keeps the charge, or charges again without it
+        const current = state.current;
+        if (current && current.generation !== hold.generation) {
+            hold.generation = current.generation;
+            hold.blocked = false;
+            if (!this.handling.preserveDas) {
+                Object.assign(hold, { frames: 0, charge: 0, shifting: false });
+            }
+        }
         
-        this.das.set(keyCode, dasTimer);
+        if (hold.action.dy > 0) {
+            this.softDropFrame(hold, state, fresh);
+        } else if (!fresh) {
+            this.shiftFrame(hold, state);
+        }
     }
     
-    stopAutoRepeat(keyCode) {
-        // Clear DAS timer
-        const dasTimer = this.das.get(keyCode);
-        if (dasTimer) {
-            clearTimeout(dasTimer);
-            this.das.delete(keyCode);
+    /**
+     * DAS, then one move per ARR frames - ARR 0 shifts straight to the wall
+     * Keeps counting against the wall so the charge can carry to the next piece
+     */
+    shiftFrame(hold, state) {
+        hold.frames++;
+        if (!state.current || hold.blocked || this.dasCut > 0) return;
+        if (hold.frames < toFrames(this.handling.das)) return;
+        
+        if (this.handling.arr === 0) {
+            hold.blocked = !this.repeatMove(hold.action, state.board[0].length);
+            return;
+        }
+        
+        // The first shift lands on the frame DAS runs out
+        const arrFrames = toFrames(this.handling.arr);
+        hold.charge = hold.shifting ? hold.charge + 1 : arrFrames;
+        hold.shifting = true;
+        
+        const steps = Math.floor(hold.charge / arrFrames);
+        if (steps > 0) {
+            hold.charge -= steps * arrFrames;
+            hold.blocked = !this.repeatMove(hold.action, steps);
         }
+    }
+    
+    /**
+     * Soft drop at gravity x SDF from the press on - sonic drop goes straight to the floor
+     */
+    softDropFrame(hold, state, fresh) {
+        if (!state.current) return;
         
-        // Clear ARR timer
-        const arrTimer = this.arr.get(keyCode);
-        if (arrTimer) {
-            clearInterval(arrTimer);
-            this.arr.delete(keyCode);
+        const interval = softDropInterval(this.handling, state.mode.gravity(state.level));
+        if (interval === 0) {
+            this.repeatMove(hold.action, state.board.length);
+            return;
         }
+        if (fresh) return;
+        
+        const dropFrames = toFrames(interval);
+        hold.charge += 1;
+        
+        const steps = Math.floor(hold.charge / dropFrames);
+        if (steps > 0) {
+            hold.charge -= steps * dropFrames;
+            this.repeatMove(hold.action, steps);
+        }
+    }
+    
+    /**
+     * Send a repeated move up to `times` times - false once the piece stops moving
+     * Repeats are tagged so finesse counts the held key once
+     */
+    repeatMove(action, times) {
+        for (let i = 0; i < times; i++) {
+            if (!this.isActionAllowed(action)) return false;
+            
+            const before = this.getState().current;
+            this.onAction({ ...action, repeat: true });
+            const after = this.getState().current;
+            
+            if (!before || !after || (before.gridX === after.gridX && before.gridY === after.gridY)) {
+                return false;
+            }
+            this.lastValidPosition = { x: after.gridX, y: after.gridY };
+        }
+        return true;
     }
 }
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * keybindings.js - Rebindable keys
+ *
+ * Bindings map each bindable action to the key codes that trigger it
+ * (several keys per action, one action per key). createKeyMap turns them
+ * into the { code: action } map InputController reads.
+ *
+ * Escape (and a gamepad's Back button) is reserved - it pauses, backs out
+ * of screens and cancels a rebind, so it can't be taken. The settings key
+ * can be moved but never left unbound, or the overlay could not be reopened.
+ *
+ * Data functions are pure; loadBindings/saveBindings isolate the
+ * localStorage side effects.
+ */
+
+const STORAGE_KEY = 'neonDropKeyBindings';
+
+export const MAX_KEYS_PER_ACTION = 3;
+
+export const RESERVED_KEYS = {
+    'Escape': { type: 'ESCAPE' },
+    'PadBack': { type: 'ESCAPE' }
+};
+
+/**
+ * Everything the keyboard can do, in settings overlay order
+ */
+export const BINDABLE_ACTIONS = [
+    { id: 'MOVE_LEFT', label: 'MOVE LEFT', action: { type: 'MOVE', dx: -1, dy: 0 } },
+    { id: 'MOVE_RIGHT', label: 'MOVE RIGHT', action: { type: 'MOVE', dx: 1, dy: 0 } },
+    { id: 'SOFT_DROP', label: 'SOFT DROP', action: { type: 'MOVE', dx: 0, dy: 1 } },
+    { id: 'HARD_DROP', label: 'HARD DROP', action: { type: 'SPACE' } },
+    { id: 'UP', label: 'ROTATE CW / UP', action: { type: 'UP_PRESSED' } },
+    { id: 'ROTATE_CW', label: 'ROTATE CW', action: { type: 'ROTATE', direction: 1 } },
+    { id: 'ROTATE_CCW', label: 'ROTATE CCW', action: { type: 'ROTATE', direction: -1 } },
+    { id: 'ROTATE_180', label: 'ROTATE 180', action: { type: 'ROTATE_180' } },
+    { id: 'HOLD', label: 'HOLD', action: { type: 'HOLD' } },
+    { id: 'ENTER', label: 'START / END', action: { type: 'ENTER' } },
+    { id: 'UNDO', label: 'UNDO', action: { type: 'UNDO' } },
+    { id: 'REDO', label: 'REDO', action: { type: 'REDO' } },
+    { id: 'NEXT_MODE', label: 'NEXT MODE', action: { type: 'NEXT_MODE' } },
+    { id: 'GHOST', label: 'GHOST', action: { type: 'GHOST' } },
+    { id: 'BOT', label: 'AI BOT', action: { type: 'BOT' } },
+    { id: 'BOT_SLOWER', label: 'BOT SLOWER', action: { type: 'BOT_SPEED', step: -1 } },
+    { id: 'BOT_FASTER', label: 'BOT FASTER', action: { type: 'BOT_SPEED', step: 1 } },
+    { id: 'NEXT_PROFILE', label: 'NEXT PLAYER', action: { type: 'NEXT_PROFILE' } },
+    { id: 'NEW_PROFILE', label: 'NEW PLAYER', action: { type: 'NEW_PROFILE' } },
+    { id: 'EXPORT_REPLAY', label: 'SAVE REPLAY', action: { type: 'EXPORT_REPLAY' } },
+    { id: 'VIEW_REPLAY', label: 'WATCH REPLAY', action: { type: 'VIEW_REPLAY' } },
+    { id: 'SETTINGS', label: 'SETTINGS', action: { type: 'SETTINGS' }, required: true }
+];
+
+// WASD and arrows both drive the board
+export const DEFAULT_BINDINGS = {
+    MOVE_LEFT: ['ArrowLeft', 'KeyA'],
+    MOVE_RIGHT: ['ArrowRight', 'KeyD'],
+    SOFT_DROP: ['ArrowDown', 'KeyS'],
+    HARD_DROP: ['Space'],
+    UP: ['ArrowUp', 'KeyW'],
+    ROTATE_CW: ['KeyX'],
+    ROTATE_CCW: ['KeyZ'],
+    ROTATE_180: ['KeyQ'],
+    HOLD: ['KeyC', 'ShiftRight'],
+    ENTER: ['Enter'],
+    UNDO: ['Backspace'],
+    REDO: ['KeyY'],
+    NEXT_MODE: ['KeyM'],
+    GHOST: ['KeyG'],
+    BOT: ['KeyB'],
+    BOT_SLOWER: ['BracketLeft'],
+    BOT_FASTER: ['BracketRight'],
+    NEXT_PROFILE: ['KeyP'],
+    NEW_PROFILE: ['KeyN'],
+    EXPORT_REPLAY: ['KeyE'],
+    VIEW_REPLAY: ['KeyV'],
+    SETTINGS: ['KeyK']
+};
+
+const findDefinition = (id) => BINDABLE_ACTIONS.find(def => def.id === id);
+
+/**
+ * Key map for InputController - pure function
+ */
+export const createKeyMap = (bindings) => {
+    const keyMap = {};
+    BINDABLE_ACTIONS.forEach(({ id, action }) => {
+        (bindings[id] || []).forEach(code => { keyMap[code] = action; });
+    });
+    return { ...keyMap, ...RESERVED_KEYS };
+};
+
+/**
+ * Action a key is bound to, or null
+ */
+export const findAction = (bindings, code) =>
+    BINDABLE_ACTIONS.find(({ id }) => (bindings[id] || []).includes(code))?.id || null;
+
+/**
+ * Bind a key to an action - returns { bindings, conflict, rejected }
+ * A key taken from another action is moved and that action reported as the
+ * conflict; reserved keys and a required action's last key are rejected
+ */
+export const bindKey = (bindings, id, code) => {
+    if (RESERVED_KEYS[code]) {
+        return { bindings, conflict: null, rejected: true };
+    }
+
+    const owner = findAction(bindings, code);
+    if (owner === id) {
+        return { bindings, conflict: null, rejected: false };
+    }
+
+    if (owner && findDefinition(owner).required && bindings[owner].length === 1) {
+        return { bindings, conflict: owner, rejected: true };
+    }
+
+    const updated = { ...bindings, [id]: [...(bindings[id] || []), code].slice(-MAX_KEYS_PER_ACTION) };
+    if (owner) {
+        updated[owner] = bindings[owner].filter(key => key !== code);
+    }
+
+    return { bindings: updated, conflict: owner, rejected: false };
+};
+
+/**
+ * Remove every key from an action - required actions keep theirs
+ */
+export const clearAction = (bindings, id) =>
+    findDefinition(id).required ? bindings : { ...bindings, [id]: [] };
+
+/**
+ * Short key name for the HUD and overlay: KeyA -> A, ArrowLeft -> LEFT,
+ * PadUp -> D-UP, StickLeft -> LS LEFT
+ */
+export const keyLabel = (code) => {
+    if (!code) return '-';
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Pad(Up|Down|Left|Right)$/.test(code)) return `D-${code.slice(3).toUpperCase()}`;
+    if (code.startsWith('Pad')) return code.slice(3).toUpperCase();
+    if (code.startsWith('Stick')) return `LS ${code.slice(5).toUpperCase()}`;
+
+    const names = {
+        Space: 'SPACE',
+        Enter: 'ENTER',
+        Backspace: 'BKSP',
+        ShiftLeft: 'LSHIFT',
+        ShiftRight: 'RSHIFT',
+        ControlLeft: 'LCTRL',
+        ControlRight: 'RCTRL',
+        AltLeft: 'LALT',
+        AltRight: 'RALT',
+        BracketLeft: '[',
+        BracketRight: ']',
+        Comma: ',',
+        Period: '.',
+        Slash: '/',
+        Semicolon: ';',
+        Quote: "'",
+        Minus: '-',
+        Equal: '='
+    };
+    return names[code] || code.replace(/^Arrow/, '').replace(/^Numpad/, 'NUM').toUpperCase();
+};
+
+/**
+ * First key of every action, labelled - for on-screen hints
+ */
+export const bindingLabels = (bindings) =>
+    Object.fromEntries(BINDABLE_ACTIONS.map(({ id }) => [id, keyLabel((bindings[id] || [])[0])]));
+
+/**
+ * Keep known actions and string codes, fill in missing actions from the
+ * defaults and drop keys claimed twice - the first action keeps them
+ */
+export const sanitizeBindings = (stored, defaults = DEFAULT_BINDINGS) => {
+    const claimed = new Set(Object.keys(RESERVED_KEYS));
+    let bindings = {};
+
+    BINDABLE_ACTIONS.forEach(({ id }) => {
+        const codes = Array.isArray(stored[id]) ? stored[id] : defaults[id];
+        bindings[id] = [];
+        codes.forEach(code => {
+            if (typeof code !== 'string' || claimed.has(code) || bindings[id].length >= MAX_KEYS_PER_ACTION) return;
+            claimed.add(code);
+            bindings[id].push(code);
+        });
+    });
+
+    // A required action that lost every key falls back to its defaults
+    BINDABLE_ACTIONS.filter(def => def.required && bindings[def.id].length === 0).forEach(({ id }) => {
+        defaults[id].forEach(code => { bindings = bindKey(bindings, id, code).bindings; });
+    });
+
+    return bindings;
+};
+
+/**
+ * Load bindings - defaults when nothing (or nothing valid) is stored
+ */
+export const loadBindings = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? sanitizeBindings(JSON.parse(stored)) : { ...DEFAULT_BINDINGS };
+    } catch {
+        return { ...DEFAULT_BINDINGS };
+    }
+};
+
+/**
+ * Save bindings - side effect isolated
+ */
+export const saveBindings = (bindings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        return true;
+    } catch (e) {
+        console.warn('Could not save key bindings:', e);
+        return false;
+    }
+};
\ No newline at end of file
@@ -0,0 +1,269 @@
+/**
+ * leaderboard.js - Local leaderboard with named player profiles
+ *
+ * Stores the top entries per game mode in localStorage, each with the
+ * player, result stats and an attached replay, so several people can
+ * share one machine without overwriting each other's scores. Profiles
+ * also carry the player's handling settings.
+ *
+ * Replays are kept in the compact share-link form (replay-codec.js) -
+ * full replay objects with state snapshots fill the storage quota fast.
+ *
+ * Data functions are pure; loadLeaderboard/saveLeaderboard isolate
+ * the localStorage side effects.
+ */
+
+import { encodeReplayString, decodeReplayString } from './replay-codec.js';
+
+const STORAGE_KEY = 'neonDropLeaderboard';
+const LEGACY_HIGH_SCORE_KEY = 'neonDropHighScore';
+
+export const MAX_ENTRIES_PER_MODE = 10;
+export const MAX_NAME_LENGTH = 12;
+
+// Entry order per mode ranking - earlier date breaks ties
+const RANKINGS = {
+    score: (a, b) => b.score - a.score || a.date.localeCompare(b.date),
+    time: (a, b) => a.duration - b.duration || a.date.localeCompare(b.date)
+};
+
+/**
+ * Create an empty leaderboard with one default profile - pure function
+ */
+export const createLeaderboard = () => ({
+    version: 1,
+    profiles: [{ id: 'p1', name: 'P1' }],
+    activeProfileId: 'p1',
+    modes: {}
+});
+
+/**
+ * Load leaderboard - migrates the old single high score key
+ */
+export const loadLeaderboard = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) {
+            return compactReplays({ ...createLeaderboard(), ...JSON.parse(stored) });
+        }
+
+        const legacyScore = parseInt(localStorage.getItem(LEGACY_HIGH_SCORE_KEY) || '0');
+        const leaderboard = createLeaderboard();
+        if (legacyScore > 0) {
+            return addEntry(leaderboard, 'NEON_DROP', {
+                score: legacyScore,
+                date: new Date(0).toISOString()
+            }).leaderboard;
+        }
+        return leaderboard;
+    } catch {
+        return createLeaderboard();
+    }
+};
+
+/**
+ * Save leaderboard - side effect isolated
+ * When storage is full, retries keeping only personal best replays
+ */
+export const saveLeaderboard = (leaderboard) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(leaderboard));
+        return true;
+    } catch (e) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(keepBestReplays(leaderboard)));
+            console.warn('Leaderboard storage is full - kept only personal best replays');
+            return true;
+        } catch {
+            console.warn('Could not save leaderboard:', e);
+            return false;
+        }
+    }
+};
+
+/**
+ * Profiles - pure functions
+ */
+
+export const getActiveProfile = (leaderboard) =>
+    leaderboard.profiles.find(p => p.id === leaderboard.activeProfileId) ||
+    leaderboard.profiles[0];
+
+export const createProfile = (leaderboard, name) => {
+    const trimmed = (name || '').trim().toUpperCase().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) return leaderboard;
+
+    // Selecting an existing name is friendlier than a duplicate
+    const existing = leaderboard.profiles.find(p => p.name === trimmed);
+    if (existing) {
+        return { ...leaderboard, activeProfileId: existing.id };
+    }
+
+    const id = `p${leaderboard.profiles.length + 1}-${trimmed.toLowerCase()}`;
+    return {
+        ...leaderboard,
+        profiles: [...leaderboard.profiles, { id, name: trimmed }],
+        activeProfileId: id
+    };
+};
+
+/**
+ * Store handling settings (handling.js) on the active profile
+ */
+export const setProfileHandling = (leaderboard, handling) => {
+    const profile = getActiveProfile(leaderboard);
+    return {
+        ...leaderboard,
+        profiles: leaderboard.profiles.map(p => p.id === profile.id ? { ...p, handling } : p)
+    };
+};
+
+export const cycleProfile = (leaderboard, step = 1) => {
+    const { profiles } = leaderboard;
+    const index = profiles.indexOf(getActiveProfile(leaderboard));
+    const next = profiles[(index + step + profiles.length) % profiles.length];
+    return { ...leaderboard, activeProfileId: next.id };
+};
+
+/**
+ * Entries - pure functions
+ */
+
+export const getEntries = (leaderboard, modeKey) =>
+    leaderboard.modes[modeKey] || [];
+
+export const getBestEntry = (leaderboard, modeKey, profileId = null) =>
+    getEntries(leaderboard, modeKey)
+        .find(e => !profileId || e.profileId === profileId) || null;
+
+export const getHighScore = (leaderboard, modeKey, profileId = null) => {
+    const best = getBestEntry(leaderboard, modeKey, profileId);
+    return best ? best.score : 0;
+};
+
+/**
+ * Insert an entry and keep the top N - returns new leaderboard and rank
+ * Rank is 1-based, or null when the entry didn't make the board
+ * Ranking is 'score' (higher first) or 'time' (faster first)
+ */
+export const addEntry = (leaderboard, modeKey, result, ranking = 'score') => {
+    const compareEntries = RANKINGS[ranking];
+    if (!compareEntries) {
+        throw new Error(`Unknown ranking: ${ranking}`);
+    }
+    
+    const profile = getActiveProfile(leaderboard);
+    const entry = {
+        id: `${modeKey}-${result.date || new Date().toISOString()}-${result.seed ?? 0}`,
+        profileId: profile.id,
+        player: profile.name,
+        score: result.score || 0,
+        lines: result.lines || 0,
+        level: result.level || 1,
+        duration: result.duration || 0,
+        pps: result.pps || 0,
+        outcome: result.outcome || null,
+        date: result.date || new Date().toISOString(),
+        seed: result.seed ?? null,
+        replay: compactReplay(result.replay)
+    };
+
+    const entries = [...getEntries(leaderboard, modeKey), entry]
+        .sort(compareEntries)
+        .slice(0, MAX_ENTRIES_PER_MODE);
+
+    const index = entries.indexOf(entry);
+
+    return {
+        leaderboard: {
+            ...leaderboard,
+            modes: { ...leaderboard.modes, [modeKey]: entries }
+        },
+        entry,
+        rank: index >= 0 ? index + 1 : null
+    };
+};
+
+/**
+ * Replays - stored as codec strings, decoded on demand
+ */
+
+/**
+ * Compact form of a replay - strings pass through, unencodable replays are dropped
+ */
+export const compactReplay = (replay) => {
+    if (!replay) return null;
+    if (typeof replay === 'string') return replay;
+
+    try {
+        return encodeReplayString(replay);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Decoded replay of an entry - null when it has none or it is damaged
+ */
+export const getEntryReplay = (entry) => {
+    if (!entry || !entry.replay) return null;
+
+    try {
+        return decodeReplayString(entry.replay);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Apply a change to every entry of every mode - pure function
+ */
+const mapEntries = (leaderboard, fn) => ({
+    ...leaderboard,
+    modes: Object.fromEntries(
+        Object.entries(leaderboard.modes).map(([modeKey, entries]) => [modeKey, entries.map(fn)])
+    )
+});
+
+/**
+ * Re-encode replays saved as full objects by older versions
+ */
+const compactReplays = (leaderboard) =>
+    mapEntries(leaderboard, e => ({ ...e, replay: compactReplay(e.replay) }));
+
+/**
+ * Drop every replay but each profile's best per mode - the ghost and viewer only use those
+ */
+export const keepBestReplays = (leaderboard) =>
+    mapEntries(leaderboard, (e, index, entries) =>
+        entries.findIndex(other => other.profileId === e.profileId) === index ? e : { ...e, replay: null }
+    );
+
+/**
+ * Attach a replay to a stored entry once it has been finalized
+ */
+export const attachReplay = (leaderboard, modeKey, entryId, replay) => ({
+    ...leaderboard,
+    modes: {
+        ...leaderboard.modes,
+        [modeKey]: getEntries(leaderboard, modeKey).map(e =>
+            e.id === entryId ? { ...e, replay: compactReplay(replay) } : e
+        )
+    }
+});
+
+/**
+ * Build a leaderboard result from a finished game state - pure function
+ */
+export const resultFromState = (state) => {
+    const duration = state.elapsedTime || 0;
+    return {
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        duration,
+        pps: duration > 0 ? state.pieces / (duration / 1000) : 0,
+        outcome: state.outcome || null,
+        seed: state.seed
+    };
+};
\ No newline at end of file
@@ -6,27 +6,84 @@
  * - Routes input to game engine
  * - Runs the game loop
  * - Manages audio state changes
+ * - Records engine inputs by frame for replays
+ * - Selects the game mode from the menu
+ * - Submits finished games to the local leaderboard
+ * - Runs local versus matches on a second board
+ * - Connects online matches to the relay server
+ * - Races solo games against a ghost replay (personal best or dropped file)
+ * - Saves compact replay files and share links, loads them back as ghosts
+ * - Plays replays back in the viewer (seek, pause, speed, frame steps)
+ * - Undoes and redoes placements in practice mode
+ * - Runs the AI bot as a watchable demo or as the versus P2
+ * - Rebinds keys and tunes the profile's handling in the settings overlay
+ *   (menu or pause screen)
+ * - Polls gamepads: the first pad plays solo and P1, a second one drives
+ *   versus P2; each controller model keeps its own bindings
  */
 
-import { createInitialState } from './game-state.js';
+import { createInitialState, GAME_MODES, MODE_KEYS } from './game-state.js';
 import * as Engine from './game-engine.js';
 import { Renderer } from './renderer.js';
-import { InputController } from './input-controller.js';
+import { InputController, P1_KEY_MAP, P2_KEY_MAP, VIEWER_KEY_MAP, SETTINGS_KEY_MAP } from './input-controller.js';
 import { AudioSystem } from './audio-system.js';
 import { Starfield } from './starfield.js';
+import * as Leaderboard from './leaderboard.js';
+import * as Versus from './versus.js';
+import { OnlineMatch, DEFAULT_RELAY_URL } from './net-versus.js';
+import * as GhostRace from './ghost-race.js';
+import { encodeReplay, toBase64Url, decodeReplayString, importReplay } from './replay-codec.js';
+import * as Viewer from './replay-viewer.js';
+import * as Practice from './practice.js';
+import { BotController, DEFAULT_PPS } from './bot.js';
+import * as KeyBindings from './keybindings.js';
+import * as SettingsMenu from './settings-menu.js';
+import { sanitizeHandling } from './handling.js';
+import { GamepadPoller, padConfig, isPadCode, loadPadConfigs, savePadConfigs } from './gamepad.js';
 
 class NeonDrop {
-    constructor(canvas, bgCanvas) {
-        this.state = createInitialState();
+    constructor(canvas, bgCanvas, p2Canvas) {
+        this.leaderboard = Leaderboard.loadLeaderboard();
+        this.bindings = KeyBindings.loadBindings();
+        this.keyMap = KeyBindings.createKeyMap(this.bindings);
+        this.padConfigs = loadPadConfigs(); // Gamepad bindings and deadzone per controller model
+        this.padIds = [];                   // Connected gamepads in slot order
+        this.modeKey = MODE_KEYS[0];
+        this.ghostEnabled = false;
+        this.ghostReplay = null; // Dropped replay file - overrides the personal best
+        this.versusBot = false;
+        this.botPPS = DEFAULT_PPS; // Read by the menu's bot label
+        this.state = this.createMenuState();
+        this.match = null;  // Active versus match - this.state mirrors P1
+        this.online = null; // Active online match - this.state is our board
+        this.race = null;   // Active ghost race
+        this.viewer = null; // Active replay viewer - this.state is a REPLAY placeholder
+        this.practice = null; // Placement history in practice mode
+        this.bot = null;      // AI driving the demo board or versus P2
+        this.demo = false;    // Solo game played by the bot
+        this.settings = null; // Open settings overlay - drawn over the menu or pause screen
         this.renderer = new Renderer(canvas);
+        this.renderer2 = new Renderer(p2Canvas);
         this.audio = new AudioSystem();
         this.starfield = new Starfield(bgCanvas);
         
         // State-aware input controller
         this.input = new InputController(
             this.handleAction.bind(this), 
-            () => this.state
+            () => this.state,
+            this.keyMap
         );
+        this.input.setHandling(this.getHandling());
+        
+        // P2 controller stays unmapped outside versus
+        this.input2 = new InputController(
+            (action) => this.handleVersusAction(1, action),
+            () => this.match ? this.match.players[1] : this.state,
+            {}
+        );
+        
+        // Gamepads are polled by the game loop and fed to the controllers above
+        this.pads = new GamepadPoller((id) => padConfig(this.padConfigs, id).deadzone);
         
         // Secret STAR key combination tracking
         this.starKeys = { s: false, t: false, a: false, r: false };
@@ -36,6 +93,10 @@ class NeonDrop {
         // Handle window resize for starfield
         this.setupWindowResize();
         
+        // Replay files dropped on the page or shared links become the ghost
+        this.setupReplayDrop();
+        this.loadReplayFromUrl();
+        
         this.lastTime = performance.now();
         this.accumulator = 0;
         this.tickRate = 1000 / 60; // 60 FPS fixed timestep
@@ -79,6 +140,73 @@ class NeonDrop {
         });
     }
     
+    setupReplayDrop() {
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.setGhostReplay(importReplay(new Uint8Array(reader.result)));
+                } catch (err) {
+                    console.warn('Could not load ghost replay:', err);
+                }
+            };
+            reader.readAsArrayBuffer(file);
+        });
+    }
+    
+    // Share links carry the encoded replay as #replay=<base64url>
+    loadReplayFromUrl() {
+        const match = window.location.hash.match(/^#replay=([A-Za-z0-9_-]+)$/);
+        if (!match) return;
+        
+        try {
+            this.setGhostReplay(decodeReplayString(match[1]));
+        } catch (err) {
+            console.warn('Could not load shared replay:', err);
+        }
+    }
+    
+    setGhostReplay(replay) {
+        this.ghostReplay = replay;
+        this.ghostEnabled = true;
+        if (this.state.phase === 'MENU') {
+            this.state = this.createMenuState();
+        }
+    }
+    
+    // Open the game that just ended in the viewer once its replay is sealed
+    async watchFinishedGame(state) {
+        if (!state.scoringEngine) return;
+        
+        const { replay } = await state.scoringEngine.exportReplay();
+        if (this.state === state) {
+            this.startViewer(replay);
+        }
+    }
+    
+    // Download the finished game as a replay file and copy its share link
+    async exportReplay(state) {
+        if (!state.scoringEngine) return;
+        
+        const { replay } = await state.scoringEngine.exportReplay();
+        const bytes = encodeReplay(replay);
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        link.download = `neon-drop-${state.mode.name.toLowerCase()}-${replay.seed}.ndr`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        
+        const shareUrl = `${window.location.origin}${window.location.pathname}#replay=${toBase64Url(bytes)}`;
+        navigator.clipboard?.writeText(shareUrl).catch(() => {});
+    }
+    
     setupStarfieldToggle() {
         document.addEventListener('keydown', (e) => {
             if (this.state.phase !== 'MENU') return;
@@ -111,43 +239,621 @@ class NeonDrop {
         });
     }
     
-    handleAction(action) {
+    // Fresh menu state for the selected mode with leaderboard info for the active profile
+    createMenuState() {
+        const mode = GAME_MODES[this.modeKey];
+        const state = createInitialState(mode);
+        const modeKey = mode.name;
+        const profile = Leaderboard.getActiveProfile(this.leaderboard);
+        
+        return {
+            ...state,
+            highScore: Leaderboard.getHighScore(this.leaderboard, modeKey),
+            menu: {
+                modeLabel: mode.label,
+                status: null,  // Online connection status
+                ranking: mode.ranking || 'score',
+                profileName: profile.name,
+                personalBest: Leaderboard.getBestEntry(this.leaderboard, modeKey, profile.id),
+                entries: Leaderboard.getEntries(this.leaderboard, modeKey),
+                ghost: mode.versus || mode.practice ? null : this.getGhostLabel(),
+                canWatch: Boolean(this.getWatchableReplay()),
+                bot: this.getBotLabel(mode),
+                keys: KeyBindings.bindingLabels(this.bindings)
+            }
+        };
+    }
+    
+    getBotLabel(mode) {
+        if (mode.online) return null;
+        const pace = this.botPPS.toFixed(1);
+        if (mode.versus) return `P2 BOT ${this.versusBot ? 'ON' : 'OFF'} ${pace}`;
+        return `WATCH AI ${pace}`;
+    }
+    
+    // Bot plays a solo game; the player only watches
+    startDemo(seed) {
+        this.state = { ...Engine.startGame(this.state, seed), playerLabel: 'BOT' };
+        this.demo = true;
+        this.bot = new BotController(
+            (action) => this.handleBotAction(action),
+            () => this.state,
+            { pps: this.botPPS }
+        );
+    }
+    
+    leaveDemo() {
+        this.demo = false;
+        this.bot = null;
+        this.state = this.createMenuState();
+    }
+    
+    // Bot moves go through the same recording path as keyboard moves
+    handleBotAction(action) {
+        if (this.state.phase !== 'FALLING' && this.state.phase !== 'LOCKING') return;
+        
         const oldState = this.state;
+        this.recordAction(action);
+        this.state = Engine.handleInput(this.state, action);
+        this.processStateChange(oldState);
+    }
+    
+    // Replay the viewer opens from the menu - a loaded file, else the personal best
+    getWatchableReplay() {
+        if (this.ghostReplay) return this.ghostReplay;
         
-        switch (this.state.phase) {
-            case 'MENU':
-                if (action.type === 'SPACE' || action.type === 'ENTER') {
+        const profile = Leaderboard.getActiveProfile(this.leaderboard);
+        const best = Leaderboard.getBestEntry(this.leaderboard, GAME_MODES[this.modeKey].name, profile.id);
+        return Leaderboard.getEntryReplay(best);
+    }
+    
+    startViewer(replay) {
+        try {
+            this.viewer = Viewer.createViewer(replay);
+        } catch (err) {
+            console.warn('Could not open replay:', err);
+            return;
+        }
+        
+        this.race = null;
+        this.state = { ...this.createMenuState(), phase: 'REPLAY' };
+        this.input.setKeyMap(VIEWER_KEY_MAP);
+    }
+    
+    leaveViewer() {
+        this.viewer = null;
+        this.applyPlayKeyMaps();
+        this.state = this.createMenuState();
+    }
+    
+    handleViewerAction(action) {
+        const { frame } = this.viewer.player.state;
+        
+        switch (action.type) {
+            case 'VIEW_PAUSE':
+                this.viewer = Viewer.togglePause(this.viewer);
+                break;
+                
+            case 'VIEW_SEEK':
+                this.viewer = Viewer.seekViewer(this.viewer, frame + Math.round(action.seconds * 1000 / this.viewer.player.tickRate));
+                break;
+                
+            case 'VIEW_STEP':
+                this.viewer = Viewer.stepViewer(this.viewer, action.frames);
+                break;
+                
+            case 'VIEW_SPEED':
+                this.viewer = Viewer.changeSpeed(this.viewer, action.step);
+                break;
+                
+            case 'ESCAPE':
+                this.leaveViewer();
+                break;
+        }
+    }
+    
+    // Handling settings of the active profile
+    getHandling() {
+        return sanitizeHandling(Leaderboard.getActiveProfile(this.leaderboard).handling);
+    }
+    
+    // Connected controller models with their saved configs, for the settings overlay
+    settingsPads() {
+        return [...new Set(this.padIds)].map(id => ({ id, ...padConfig(this.padConfigs, id) }));
+    }
+    
+    openSettings() {
+        this.settings = SettingsMenu.createSettingsMenu(this.bindings, this.getHandling(), this.settingsPads());
+        this.input.setKeyMap(SETTINGS_KEY_MAP);
+    }
+    
+    // Apply and save the edits, then refresh the on-screen key hints
+    closeSettings() {
+        this.bindings = this.settings.bindings;
+        this.keyMap = KeyBindings.createKeyMap(this.bindings);
+        KeyBindings.saveBindings(this.bindings);
+        this.padConfigs = {
+            ...this.padConfigs,
+            ...Object.fromEntries(this.settings.pads.map(({ id, bindings, deadzone }) => [id, { bindings, deadzone }]))
+        };
+        savePadConfigs(this.padConfigs);
+        this.updateLeaderboard(Leaderboard.setProfileHandling(this.leaderboard, this.settings.handling));
+        this.input.setHandling(this.settings.handling);
+        this.settings = null;
+        this.applyPlayKeyMaps();
+        
+        if (this.state.phase === 'MENU') {
+            this.state = this.createMenuState();
+        } else if (this.state.menu) {
+            this.state = { ...this.state, menu: { ...this.state.menu, keys: KeyBindings.bindingLabels(this.bindings) } };
+        }
+    }
+    
+    handleSettingsAction(action) {
+        switch (action.type) {
+            case 'SETTINGS_MOVE':
+                this.settings = SettingsMenu.moveCursor(this.settings, action.step);
+                break;
+                
+            case 'SETTINGS_ADJUST':
+                this.settings = SettingsMenu.adjustSelected(this.settings, action.step);
+                break;
+                
+            case 'SETTINGS_BIND':
+                this.settings = SettingsMenu.startCapture(this.settings);
+                if (this.settings.capturing) {
+                    this.input.captureNextKey((code) => {
+                        this.settings = SettingsMenu.captureKey(this.settings, code);
+                    });
+                }
+                break;
+                
+            case 'SETTINGS_CLEAR':
+                this.settings = SettingsMenu.clearSelected(this.settings);
+                break;
+                
+            case 'SETTINGS_RESET':
+                this.settings = SettingsMenu.resetBindings(this.settings);
+                break;
+                
+            case 'ESCAPE':
+                if (this.settings.capturing) {
+                    this.input.cancelCapture();
+                    this.settings = SettingsMenu.cancelCapture(this.settings);
+                } else {
+                    this.closeSettings();
+                }
+                break;
+        }
+    }
+    
+    // Replay to race in the selected mode - a dropped file wins over the personal best
+    getGhostReplay() {
+        return this.ghostEnabled ? this.getWatchableReplay() : null;
+    }
+    
+    getGhostLabel() {
+        if (!this.ghostEnabled) return 'OFF';
+        if (this.ghostReplay) return 'FILE';
+        return this.getGhostReplay() ? 'PB' : 'NO PB';
+    }
+    
+    startSolo(seed) {
+        if (this.state.mode.practice) {
+            this.state = Engine.startGame(this.state, seed);
+            this.practice = Practice.createHistory(this.state);
+            return;
+        }
+        
+        const replay = this.getGhostReplay();
+        if (!replay) {
+            this.state = Engine.startGame(this.state, seed);
+            return;
+        }
+        
+        try {
+            const { state, race } = GhostRace.startRace(replay, this.state);
+            this.state = state;
+            this.race = race;
+        } catch (err) {
+            console.warn('Could not start ghost race:', err);
+            this.state = Engine.startGame(this.state, seed);
+        }
+    }
+    
+    updateLeaderboard(leaderboard) {
+        this.leaderboard = leaderboard;
+        Leaderboard.saveLeaderboard(leaderboard);
+    }
+    
+    handleMenuAction(action) {
+        switch (action.type) {
+            case 'SPACE':
+            case 'ENTER':
+                if (this.online) break;  // Already connecting or waiting
+                this.audio.init();
+                if (this.state.mode.online) {
+                    this.startOnline();
+                } else if (this.state.mode.versus) {
+                    this.startMatch(Date.now() >>> 0);
+                } else {
+                    this.startSolo(Date.now() >>> 0);
+                }
+                break;
+                
+            case 'ESCAPE':
+                if (this.online) this.leaveOnline();
+                break;
+                
+            case 'NEXT_MODE': {
+                const index = MODE_KEYS.indexOf(this.modeKey);
+                this.modeKey = MODE_KEYS[(index + 1) % MODE_KEYS.length];
+                this.state = this.createMenuState();
+                break;
+            }
+                
+            case 'GHOST':
+                this.ghostEnabled = !this.ghostEnabled;
+                this.state = this.createMenuState();
+                break;
+                
+            case 'BOT':
+                if (this.state.mode.online) break;
+                if (this.state.mode.versus) {
+                    this.versusBot = !this.versusBot;
+                    this.state = this.createMenuState();
+                } else {
                     this.audio.init();
-                    this.state = Engine.startGame(this.state);
+                    this.startDemo(Date.now() >>> 0);
                 }
                 break;
                 
+            case 'BOT_SPEED':
+                this.botPPS = Math.min(10, Math.max(0.5, this.botPPS + action.step * 0.5));
+                this.state = this.createMenuState();
+                break;
+                
+            case 'VIEW_REPLAY': {
+                const replay = this.getWatchableReplay();
+                if (replay && !this.online) this.startViewer(replay);
+                break;
+            }
+                
+            case 'SETTINGS':
+                if (!this.online) this.openSettings();
+                break;
+                
+            case 'NEXT_PROFILE':
+                this.updateLeaderboard(Leaderboard.cycleProfile(this.leaderboard));
+                this.input.setHandling(this.getHandling());
+                this.state = this.createMenuState();
+                break;
+                
+            case 'NEW_PROFILE': {
+                const name = window.prompt('Player name:');
+                if (name) {
+                    this.updateLeaderboard(Leaderboard.createProfile(this.leaderboard, name));
+                    this.input.setHandling(this.getHandling());
+                    this.state = this.createMenuState();
+                }
+                break;
+            }
+        }
+    }
+    
+    // Step the practice history back or forward - the restored state replaces the game
+    applyPracticeStep(action) {
+        if (!this.practice) return;
+        
+        const step = action.type === 'UNDO'
+            ? Practice.undoPlacement(this.practice)
+            : Practice.redoPlacement(this.practice);
+        if (!step) return;
+        
+        this.practice = step.history;
+        this.state = step.state;
+    }
+    
+    // Record a finished game; the replay is attached once its hashes resolve
+    submitResult(state) {
+        if (state.mode.versus || state.mode.practice || this.demo) return;  // Only solo human games are ranked
+        
+        const modeKey = state.mode.name;
+        const ranking = state.mode.ranking || 'score';
+        
+        // Time-ranked modes only count finished runs
+        if (ranking === 'time' && state.outcome !== 'CLEAR') {
+            this.state = { ...this.state, result: { rank: null, player: null } };
+            return;
+        }
+        
+        const { leaderboard, entry, rank } = Leaderboard.addEntry(
+            this.leaderboard, modeKey, Leaderboard.resultFromState(state), ranking
+        );
+        
+        this.updateLeaderboard(leaderboard);
+        this.state = { ...this.state, result: { rank, player: entry.player } };
+        
+        if (rank && state.scoringEngine) {
+            state.scoringEngine.exportReplay().then(exported => {
+                this.updateLeaderboard(
+                    Leaderboard.attachReplay(this.leaderboard, modeKey, entry.id, exported.replay)
+                );
+            }).catch(err => {
+                console.warn('Could not attach replay:', err);
+            });
+        }
+    }
+    
+    // Online: wait in the relay queue, then play our board against a mirror
+    startOnline() {
+        const relayUrl = new URLSearchParams(window.location.search).get('relay') || DEFAULT_RELAY_URL;
+        const profile = Leaderboard.getActiveProfile(this.leaderboard);
+        
+        this.online = new OnlineMatch(relayUrl, {
+            onStatus: (status) => {
+                if (this.state.phase === 'MENU') {
+                    this.state = { ...this.state, menu: { ...this.state.menu, status } };
+                }
+            },
+            onStart: ({ seed, mode }) => {
+                this.state = Engine.startGame({ ...createInitialState(mode), playerLabel: profile.name }, seed);
+                this.renderer.canvas.parentElement.classList.add('versus');
+            },
+            onGarbage: (lines) => {
+                const oldState = this.state;
+                const action = { type: 'GARBAGE', lines };
+                this.recordAction(action);
+                this.state = Engine.handleInput(this.state, action);
+                this.processStateChange(oldState);
+            },
+            onMatchOver: ({ won }) => {
+                if (won) {
+                    const oldState = this.state;
+                    this.state = Engine.endGame(this.state, 'WIN');
+                    this.processStateChange(oldState);
+                }
+            }
+        });
+        
+        this.online.connect(profile.name);
+    }
+    
+    leaveOnline() {
+        this.online.close();
+        this.online = null;
+        this.renderer.canvas.parentElement.classList.remove('versus');
+        this.state = this.createMenuState();
+    }
+    
+    // Versus: split the keyboard and show the second board
+    startMatch(seed) {
+        this.match = Versus.createMatch(this.state.mode, seed);
+        this.state = this.match.players[0];
+        this.renderer.canvas.parentElement.classList.add('versus');
+        
+        // P2 is either the right half of the keyboard (and the second pad) or the bot
+        if (this.versusBot) {
+            this.input2.setKeyMap({});
+            this.bot = new BotController(
+                (action) => this.handleVersusAction(1, action),
+                () => this.match.players[1],
+                { pps: this.botPPS }
+            );
+        }
+        this.applyPlayKeyMaps();
+    }
+    
+    endMatch() {
+        this.match = null;
+        this.bot = null;
+        this.applyPlayKeyMaps();
+        this.input2.setKeyMap({});
+        this.renderer.canvas.parentElement.classList.remove('versus');
+        this.state = this.createMenuState();
+    }
+    
+    // Swap in a new match state, with audio cues for both boards
+    updateMatch(match) {
+        const before = this.match.players;
+        this.match = match;
+        this.state = match.players[0];
+        before.forEach((oldState, i) => this.audio.processStateChange(oldState, match.players[i]));
+    }
+    
+    handleVersusAction(index, action) {
+        if (!this.match) return;
+        const player = this.match.players[index];
+        
+        switch (player.phase) {
             case 'FALLING':
             case 'LOCKING':
                 if (action.type === 'ESCAPE') {
-                    this.state = { ...this.state, phase: 'PAUSED' };
-                } else if (action.type === 'SPACE') {
-                    this.state = Engine.handleInput(this.state, { type: 'HARD_DROP' });
+                    this.match = Versus.pauseMatch(this.match);
+                    this.state = this.match.players[0];
                 } else {
-                    this.state = Engine.handleInput(this.state, action);
+                    const engineAction = action.type === 'SPACE' ? { type: 'HARD_DROP' } : action;
+                    this.updateMatch(Versus.handleMatchInput(this.match, index, engineAction));
                 }
                 break;
                 
             case 'PAUSED':
                 if (action.type === 'ESCAPE' || action.type === 'SPACE' || action.type === 'ENTER') {
-                    this.state = { ...this.state, phase: 'FALLING' };
+                    this.match = Versus.resumeMatch(this.match);
+                    this.state = this.match.players[0];
                 }
                 break;
                 
             case 'GAME_OVER':
-                if (action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE') {
-                    this.state = createInitialState();
+                if (Versus.isMatchOver(this.match) &&
+                    (action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE')) {
+                    this.endMatch();
                 }
                 break;
         }
-        
-        // Process audio changes
+    }
+    
+    // React to a state transition: audio cues and game over bookkeeping
+    processStateChange(oldState) {
         this.audio.processStateChange(oldState, this.state);
+        
+        if (this.online) {
+            this.online.sync(oldState, this.state);
+        }
+        
+        if (this.practice) {
+            this.practice = Practice.recordPlacement(this.practice, this.state);
+        }
+        
+        if (this.state.phase === 'GAME_OVER' && oldState.phase !== 'GAME_OVER') {
+            this.submitResult(this.state);
+        }
+    }
+    
+    handleAction(action) {
+        if (this.settings) {
+            this.handleSettingsAction(action);
+            return;
+        }
+        
+        if (this.match) {
+            this.handleVersusAction(0, action);
+            return;
+        }
+        
+        // Watching the bot - any start key or escape goes back to the menu
+        if (this.demo) {
+            if (['ESCAPE', 'SPACE', 'ENTER'].includes(action.type)) {
+                this.leaveDemo();
+            }
+            return;
+        }
+        
+        const oldState = this.state;
+        
+        switch (this.state.phase) {
+            case 'MENU':
+                this.handleMenuAction(action);
+                break;
+                
+            case 'REPLAY':
+                this.handleViewerAction(action);
+                return;
+                
+            case 'FALLING':
+            case 'LOCKING':
+                if (action.type === 'ESCAPE') {
+                    // Online opponents keep playing, so there's no pause
+                    if (!this.online) {
+                        this.state = { ...this.state, phase: 'PAUSED', pausedPhase: this.state.phase };
+                    }
+                } else if (action.type === 'UNDO' || action.type === 'REDO') {
+                    this.applyPracticeStep(action);
+                } else {
+                    const engineAction = action.type === 'SPACE' ? { type: 'HARD_DROP' } : action;
+                    this.recordAction(engineAction);
+                    this.state = Engine.handleInput(this.state, engineAction);
+                }
+                break;
+                
+            case 'PAUSED': {
+                const resumed = { ...this.state, phase: this.state.pausedPhase || 'FALLING', pausedPhase: null };
+                
+                if (action.type === 'SETTINGS') {
+                    this.openSettings();
+                } else if (action.type === 'ENTER' && Engine.canEndSession(this.state.mode)) {
+                    // Endless and practice sessions are ended from the pause screen
+                    this.state = resumed;
+                    this.recordAction({ type: 'END_SESSION' });
+                    this.state = Engine.handleInput(this.state, { type: 'END_SESSION' });
+                } else if (action.type === 'ESCAPE' || action.type === 'SPACE' || action.type === 'ENTER') {
+                    this.state = resumed;
+                }
+                break;
+            }
+                
+            case 'GAME_OVER':
+                if (action.type === 'EXPORT_REPLAY') {
+                    this.exportReplay(this.state);
+                } else if (action.type === 'VIEW_REPLAY' && !this.online) {
+                    this.watchFinishedGame(this.state);
+                } else if (action.type === 'UNDO') {
+                    this.applyPracticeStep(action);
+                } else if (action.type === 'SPACE' || action.type === 'ENTER' || action.type === 'ESCAPE') {
+                    if (this.online) {
+                        this.leaveOnline();
+                    } else {
+                        this.race = null;
+                        this.practice = null;
+                        this.state = this.createMenuState();
+                    }
+                }
+                break;
+        }
+        
+        // Process audio changes and game over
+        this.processStateChange(oldState);
+    }
+    
+    // Record an engine input against the current simulation frame
+    recordAction(action) {
+        if (this.state.scoringEngine) {
+            this.state.scoringEngine.recordInput(action, this.state.frame);
+        }
+    }
+    
+    // Pad buttons bound for a slot's controller - pad codes never collide with keys
+    padKeyMap(slot) {
+        const id = this.padIds[slot];
+        if (!id) return {};
+        
+        const keyMap = KeyBindings.createKeyMap(padConfig(this.padConfigs, id).bindings);
+        return Object.fromEntries(Object.entries(keyMap).filter(([code]) => isPadCode(code)));
+    }
+    
+    // Key maps for playing - the overlays keep their fixed maps
+    // keepInput leaves held keys and DAS alone, e.g. when a pad connects mid-game
+    applyPlayKeyMaps(keepInput = false) {
+        if (this.settings || this.viewer) return;
+        
+        const apply = (input, keyMap) => keepInput ? input.updateKeyMap(keyMap) : input.setKeyMap(keyMap);
+        
+        if (this.match) {
+            apply(this.input, { ...P1_KEY_MAP, ...this.padKeyMap(0) });
+            if (!this.versusBot) {
+                apply(this.input2, { ...P2_KEY_MAP, ...this.padKeyMap(1) });
+            }
+        } else {
+            apply(this.input, { ...this.keyMap, ...this.padKeyMap(0) });
+        }
+    }
+    
+    // Read the gamepads once per tick: the first pad drives P1, the second
+    // versus P2, and any pad works the settings overlay
+    pollPads() {
+        const pads = this.pads.poll();
+        const ids = pads.map(pad => pad.id);
+        
+        if (ids.join('\n') !== this.padIds.join('\n')) {
+            this.padIds = ids;
+            this.applyPlayKeyMaps(true);
+            if (this.settings) {
+                this.settings = SettingsMenu.connectPads(this.settings, this.settingsPads());
+            }
+        }
+        
+        pads.forEach(({ events }, slot) => {
+            let input = null;
+            if (slot === 0 || this.settings) {
+                input = this.input;
+            } else if (slot === 1 && this.match && !this.versusBot) {
+                input = this.input2;
+            }
+            
+            if (input) {
+                events.forEach(event => input.padInput(event));
+            }
+        });
     }
     
     loop() {
@@ -161,11 +867,40 @@ class NeonDrop {
         // Prevent spiral of death
         this.accumulator = Math.min(this.accumulator, this.tickRate * 5);
         
+        // Playback keys are read first - Escape closes the viewer
+        if (this.viewer) {
+            this.pollPads();
+            this.input.update();
+        }
+        
+        // The viewer paces itself - scaled by playback speed
+        if (this.viewer) {
+            this.viewer = Viewer.advanceViewer(this.viewer, this.accumulator);
+            this.accumulator = 0;
+        }
+        
         // Update game logic at fixed rate
         while (this.accumulator >= this.tickRate) {
-            const oldState = this.state;
-            this.state = Engine.tick(this.state, this.tickRate);
-            this.audio.processStateChange(oldState, this.state);
+            // Buffered key and pad presses land on this frame, held keys repeat
+            this.pollPads();
+            this.input.update();
+            this.input2.update();
+            
+            if (this.bot) {
+                this.bot.update(this.tickRate);
+            }
+            
+            if (this.match) {
+                this.updateMatch(Versus.tickMatch(this.match, this.tickRate));
+            } else {
+                const oldState = this.state;
+                this.state = Engine.tick(this.state, this.tickRate);
+                this.processStateChange(oldState);
+                
+                if (this.race) {
+                    this.race = GhostRace.advanceRace(this.race, this.state);
+                }
+            }
             this.accumulator -= this.tickRate;
         }
         
@@ -175,7 +910,19 @@ class NeonDrop {
         }
         
         // Render game on top
-        this.renderer.render(this.state, this.starfield.enabled);
+        if (this.viewer) {
+            this.renderer.render(this.viewer.player.state, this.starfield.enabled, { viewer: Viewer.viewerInfo(this.viewer) });
+        } else {
+            this.renderer.render(this.state, this.starfield.enabled, {
+                race: this.race,
+                settings: this.settings && SettingsMenu.settingsInfo(this.settings)
+            });
+        }
+        if (this.match) {
+            this.renderer2.render(this.match.players[1], this.starfield.enabled);
+        } else if (this.online && this.online.mirror) {
+            this.renderer2.render(this.online.mirror, this.starfield.enabled);
+        }
         
         requestAnimationFrame(() => this.loop());
     }
@@ -185,6 +932,7 @@ class NeonDrop {
 window.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('game-canvas');
     const bgCanvas = document.getElementById('starfield-canvas');
+    const p2Canvas = document.getElementById('game-canvas-p2');
     
-    new NeonDrop(canvas, bgCanvas);
+    new NeonDrop(canvas, bgCanvas, p2Canvas);
 });
\ No newline at end of file
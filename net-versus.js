@@ -0,0 +1,321 @@
+/**
+ * net-versus.js - Online 1v1 client for the relay server
+ *
+ * Each client runs the pure engine for its own board only. The relay
+ * carries everything else:
+ * - Outgoing: state deltas, attacks, board hashes and the final result
+ * - Incoming: the opponent's deltas (mirrored for rendering), attacks
+ *   (applied as recorded GARBAGE inputs) and match events
+ *
+ * Desync detection: after every lock the sender follows its delta with
+ * a hashBoard() of the real board. Both carry the sender's lock count,
+ * so the receiver hashes its mirror as of that lock - several locks can
+ * share a frame - and asks for a full resync when they differ.
+ */
+
+import { createInitialState, GAME_MODES } from './game-state.js';
+import { hashBoard } from './scoring-engine.js';
+
+export const DEFAULT_RELAY_URL = 'ws://localhost:8788';
+
+// Send deltas at most every few frames (plus immediately on lock)
+const STATE_INTERVAL_FRAMES = 3;
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+// Mirror boards kept for hash checks that arrive after newer deltas
+const HASH_HISTORY_LOCKS = 32;
+
+// Fields mirrored besides the board rows
+const MIRRORED_FIELDS = ['score', 'lines', 'level', 'phase', 'outcome', 'backToBackCounter', 'combo'];
+
+// Only what the renderer needs from a piece
+const slimPiece = (piece) => piece && {
+    type: piece.type,
+    shape: piece.shape,
+    color: piece.color,
+    gridX: piece.gridX,
+    gridY: piece.gridY,
+    rotation: piece.rotation
+};
+
+/**
+ * Delta from prev to state - pure function
+ * With no prev (or a resync) every row is included
+ */
+export const createStateDelta = (prev, state) => {
+    const rows = {};
+    state.board.forEach((row, y) => {
+        if (!prev || prev.board[y] !== row && row.join() !== prev.board[y].join()) {
+            rows[y] = row;
+        }
+    });
+
+    const delta = {
+        frame: state.frame,
+        rows,
+        current: slimPiece(state.current),
+        hold: slimPiece(state.hold),
+        next: slimPiece(state.queue[0]),
+        pendingGarbage: state.pendingGarbage
+    };
+    MIRRORED_FIELDS.forEach(key => { delta[key] = state[key]; });
+
+    return delta;
+};
+
+/**
+ * Apply a delta to the opponent mirror - pure function
+ */
+export const applyStateDelta = (mirror, delta) => {
+    const board = mirror.board.map((row, y) => delta.rows[y] ? [...delta.rows[y]] : row);
+    const fields = {};
+    MIRRORED_FIELDS.forEach(key => {
+        if (delta[key] !== undefined) fields[key] = delta[key];
+    });
+
+    return {
+        ...mirror,
+        ...fields,
+        board,
+        frame: delta.frame,
+        current: delta.current,
+        hold: delta.hold,
+        queue: delta.next ? [delta.next] : [],
+        pendingGarbage: delta.pendingGarbage || []
+    };
+};
+
+/**
+ * Blank opponent board for a mode
+ */
+export const createMirror = (mode, name) => ({
+    ...createInitialState(mode),
+    phase: 'FALLING',
+    playerLabel: name
+});
+
+/**
+ * Relay connection plus the opponent mirror
+ *
+ * callbacks: {
+ *   onStatus(text)                      waiting / connection messages
+ *   onStart({ seed, mode, player })     start the local game (mode is the config)
+ *   onGarbage(lines)                    apply incoming attack
+ *   onMatchOver({ won, reason })        end the local game
+ * }
+ */
+export class OnlineMatch {
+    constructor(url, callbacks) {
+        this.url = url;
+        this.callbacks = callbacks;
+        this.socket = null;
+        this.name = null;
+        this.match = null;    // { matchId, token, player, mode }
+        this.mirror = null;
+        this.mirrorBoards = new Map();  // opponent lock count -> mirrored board
+        this.lastSent = null;
+        this.lastSentFrame = -Infinity;
+        this.locks = 0;       // Board changes we've sent - tags deltas and hashes
+        this.outbox = [];     // Messages held while the socket reconnects
+        this.reconnectAttempts = 0;
+        this.closed = false;
+        this.desyncs = 0;
+    }
+
+    connect(name) {
+        this.name = name;
+        this.open(() => this.send({ type: 'join', name }));
+    }
+
+    open(onOpen) {
+        this.callbacks.onStatus('CONNECTING');
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener('open', () => {
+            this.reconnectAttempts = 0;
+            onOpen();
+            this.flushOutbox();
+        });
+        this.socket.addEventListener('message', (e) => this.handleMessage(JSON.parse(e.data)));
+        this.socket.addEventListener('close', () => this.handleClose());
+    }
+
+    close() {
+        this.closed = true;
+        if (this.socket) this.socket.close();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        } else if (this.match) {
+            // Mid-match and reconnecting - attacks and deltas go out once our seat is back
+            this.outbox.push(message);
+        }
+    }
+
+    // Runs right after join/rejoin, so the relay knows our seat first
+    flushOutbox() {
+        const queued = this.outbox;
+        this.outbox = [];
+        queued.forEach(message => this.send(message));
+    }
+
+    // Dropped mid-match: try to take our seat back
+    handleClose() {
+        if (this.closed) return;
+
+        if (!this.match || this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            if (this.outbox.length > 0) {
+                console.warn(`Connection lost - ${this.outbox.length} unsent messages dropped`);
+                this.outbox = [];
+            }
+            this.callbacks.onStatus('DISCONNECTED');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        this.callbacks.onStatus('RECONNECTING');
+        setTimeout(() => this.open(() => this.send({
+            type: 'rejoin',
+            matchId: this.match.matchId,
+            token: this.match.token
+        })), RECONNECT_DELAY_MS);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'waiting':
+                this.callbacks.onStatus('WAITING FOR OPPONENT');
+                break;
+
+            case 'start': {
+                const mode = Object.values(GAME_MODES).find(m => m.name === message.mode);
+                if (!mode) {
+                    console.warn('Relay sent an unknown mode:', message.mode);
+                    return;
+                }
+
+                this.match = {
+                    matchId: message.matchId,
+                    token: message.token,
+                    player: message.player
+                };
+                this.mirror = createMirror(mode, message.opponent);
+                this.mirrorBoards.clear();
+                this.lastSent = null;
+                this.lastSentFrame = -Infinity;
+                this.locks = 0;
+                this.outbox = [];
+                this.callbacks.onStart({ seed: message.seed, mode, player: message.player });
+                break;
+            }
+
+            case 'resume':
+                // Our own board kept running; the opponent resyncs us
+                this.callbacks.onStatus(null);
+                break;
+
+            case 'state':
+                if (this.mirror) {
+                    this.mirror = applyStateDelta(this.mirror, message);
+                    this.rememberBoard(message.lock, this.mirror.board);
+                }
+                break;
+
+            case 'attack':
+                this.callbacks.onGarbage(message.lines);
+                break;
+
+            case 'hash':
+                this.checkHash(message).catch(() => {}); // No Web Crypto - desyncs go unchecked
+                break;
+
+            case 'resync':
+                this.lastSent = null;  // Next delta carries every row
+                this.lastSentFrame = -Infinity;
+                break;
+
+            case 'opponent-disconnected':
+                if (this.mirror) this.mirror = { ...this.mirror, phase: 'PAUSED' };
+                break;
+
+            case 'opponent-reconnected':
+                if (this.mirror) this.mirror = { ...this.mirror, phase: 'FALLING' };
+                break;
+
+            case 'match-over': {
+                const won = this.match && message.winner === this.match.player;
+                if (this.mirror) {
+                    this.mirror = { ...this.mirror, phase: 'GAME_OVER', outcome: won ? 'TOP_OUT' : 'WIN' };
+                }
+                this.match = null;
+                this.callbacks.onMatchOver({ won, reason: message.reason });
+                break;
+            }
+
+            case 'error':
+                console.warn('Relay error:', message.message);
+                break;
+        }
+    }
+
+    rememberBoard(lock, board) {
+        this.mirrorBoards.set(lock, board);
+        this.mirrorBoards.forEach((_, older) => {
+            if (older < lock - HASH_HISTORY_LOCKS) this.mirrorBoards.delete(older);
+        });
+    }
+
+    // Compare the opponent's real board hash with our mirror after that lock
+    async checkHash(message) {
+        const board = this.mirrorBoards.get(message.lock);
+        if (!board) return;
+        const hash = await hashBoard(board);
+        if (hash !== message.hash) {
+            this.desyncs++;
+            console.warn(`Opponent mirror desynced at frame ${message.frame} - resyncing`);
+            this.send({ type: 'resync' });
+        }
+    }
+
+    /**
+     * Stream our own state after each engine step
+     */
+    sync(oldState, state) {
+        if (!this.match) return;
+
+        // Fresh clear with attack left after offsetting our own garbage
+        const clear = state.lastClear;
+        if (clear && clear !== oldState.lastClear && clear.attack > 0) {
+            this.send({ type: 'attack', frame: state.frame, lines: clear.attack });
+        }
+
+        const locked = state.board !== oldState.board;
+        if (locked) this.locks++;
+
+        if (locked || state.frame - this.lastSentFrame >= STATE_INTERVAL_FRAMES) {
+            this.send({ type: 'state', lock: this.locks, ...createStateDelta(this.lastSent, state) });
+            this.lastSent = state;
+            this.lastSentFrame = state.frame;
+        }
+
+        if (locked) {
+            const frame = state.frame;
+            const lock = this.locks;
+            hashBoard(state.board).then(hash => {
+                if (this.match) this.send({ type: 'hash', frame, lock, hash });
+            }).catch(() => {});
+        }
+
+        if (state.phase === 'GAME_OVER' && oldState.phase !== 'GAME_OVER') {
+            this.send({
+                type: 'result',
+                outcome: state.outcome,
+                frame: state.frame,
+                score: state.score,
+                lines: state.lines
+            });
+        }
+    }
+}
\ No newline at end of file
@@ -3,30 +3,38 @@
  * Pure functional particle system for line clear explosions
  * 
  * OPTIMIZED: Object pooling to reduce garbage collection
+ * 
+ * Cosmetic randomness comes from its own RNG stream so effects never
+ * consume values from the game RNG that drives piece generation
  */
 
+import * as Random from './random.js';
+
 // Particle pool for recycling
 const particlePool = [];
 const MAX_POOL_SIZE = 500;
 
+// Fallback cosmetic stream for callers that don't supply one
+const cosmeticRng = Random.createRNG(0x2545F491);
+
 /**
  * Create a single particle (with object pooling)
  */
-export const createParticle = (x, y, color, intensity = 1.0) => {
+export const createParticle = (x, y, color, intensity = 1.0, rng = cosmeticRng) => {
     // Get recycled particle or create new one
     const particle = particlePool.length > 0 ? particlePool.pop() : {};
     
     // Set/reset all properties
     particle.x = x;
     particle.y = y;
-    particle.vx = (Math.random() - 0.5) * 40 * intensity;  // Increased horizontal spread
-    particle.vy = -Math.random() * 40 - 30;                // Much stronger upward burst
+    particle.vx = (rng.next() - 0.5) * 40 * intensity;  // Increased horizontal spread
+    particle.vy = -rng.next() * 40 - 30;                // Much stronger upward burst
     particle.color = color;
     particle.life = 1.0;
-    particle.size = 2 + Math.random() * 3;
-    particle.rotation = Math.random() * Math.PI * 2;
-    particle.rotationSpeed = (Math.random() - 0.5) * 0.3;
-    particle.type = Math.random() < 0.7 ? 'square' : 'spark';  // Mix of particle types
+    particle.size = 2 + rng.next() * 3;
+    particle.rotation = rng.next() * Math.PI * 2;
+    particle.rotationSpeed = (rng.next() - 0.5) * 0.3;
+    particle.type = rng.next() < 0.7 ? 'square' : 'spark';  // Mix of particle types
     
     return particle;
 };
@@ -34,20 +42,21 @@ export const createParticle = (x, y, color, intensity = 1.0) => {
 /**
  * Create particles for a cleared block
  */
-export const createBlockParticles = (blockX, blockY, color, blockSize) => {
+export const createBlockParticles = (blockX, blockY, color, blockSize, rng = cosmeticRng) => {
     const particles = [];
-    const particleCount = 15 + Math.floor(Math.random() * 10); // 15-25 particles per block
+    const particleCount = 15 + Math.floor(rng.next() * 10); // 15-25 particles per block
     
     for (let i = 0; i < particleCount; i++) {
         // Start from random position within the block
-        const offsetX = Math.random() * blockSize;
-        const offsetY = Math.random() * blockSize;
+        const offsetX = rng.next() * blockSize;
+        const offsetY = rng.next() * blockSize;
         
         particles.push(createParticle(
             blockX + offsetX,
             blockY + offsetY,
             color,
-            1.0 + Math.random() * 0.5  // Slight intensity variation
+            1.0 + rng.next() * 0.5,  // Slight intensity variation
+            rng
         ));
     }
     
@@ -57,10 +66,11 @@ export const createBlockParticles = (blockX, blockY, color, blockSize) => {
             blockX + blockSize / 2,
             blockY + blockSize / 2,
             color,
-            0.5
+            0.5,
+            rng
         );
         glowParticle.type = 'glow';
-        glowParticle.size = 10 + Math.random() * 5;
+        glowParticle.size = 10 + rng.next() * 5;
         glowParticle.vx *= 0.5;  // Slower horizontal movement
         glowParticle.vy *= 0.7;  // Less strong upward for glow
         particles.push(glowParticle);
@@ -72,7 +82,7 @@ export const createBlockParticles = (blockX, blockY, color, blockSize) => {
 /**
  * Create explosion effect for cleared lines
  */
-export const createLineExplosion = (board, clearedLines, boardX, boardY, blockSize) => {
+export const createLineExplosion = (board, clearedLines, boardX, boardY, blockSize, rng = cosmeticRng) => {
     const particles = [];
     
     clearedLines.forEach(lineIndex => {
@@ -84,7 +94,8 @@ export const createLineExplosion = (board, clearedLines, boardX, boardY, blockSi
                     boardX + colIndex * blockSize,
                     boardY + lineIndex * blockSize,
                     color,
-                    blockSize
+                    blockSize,
+                    rng
                 );
                 particles.push(...blockParticles);
             }
@@ -93,16 +104,17 @@ export const createLineExplosion = (board, clearedLines, boardX, boardY, blockSi
         // Add extra "shockwave" particles along the line
         for (let i = 0; i < 20; i++) {
             const shockwaveParticle = createParticle(
-                boardX + Math.random() * (10 * blockSize),
+                boardX + rng.next() * (row.length * blockSize),
                 boardY + lineIndex * blockSize + blockSize / 2,
                 '#FFFFFF',
-                0.8
+                0.8,
+                rng
             );
             
             // Override some properties for shockwave effect
-            shockwaveParticle.vx = (Math.random() - 0.5) * 30;
-            shockwaveParticle.vy = (Math.random() - 0.5) * 5;
-            shockwaveParticle.size = 1 + Math.random() * 2;
+            shockwaveParticle.vx = (rng.next() - 0.5) * 30;
+            shockwaveParticle.vy = (rng.next() - 0.5) * 5;
+            shockwaveParticle.size = 1 + rng.next() * 2;
             shockwaveParticle.type = 'spark';
             
             particles.push(shockwaveParticle);
@@ -235,7 +247,7 @@ export const renderParticles = (ctx, particles) => {
 /**
  * Create quad clear (4-line) special effect
  */
-export const createQuadClearEffect = (boardX, boardY, boardWidth, boardHeight) => {
+export const createQuadClearEffect = (boardX, boardY, boardWidth, boardHeight, rng = cosmeticRng) => {
     const particles = [];
     
     // Create vertical light beams
@@ -244,16 +256,17 @@ export const createQuadClearEffect = (boardX, boardY, boardWidth, boardHeight) =
         
         for (let j = 0; j < 30; j++) {
             const beamParticle = createParticle(
-                x + (Math.random() - 0.5) * 20,
+                x + (rng.next() - 0.5) * 20,
                 boardY + boardHeight,
                 '#FFFFFF',
-                1.0
+                1.0,
+                rng
             );
             
             // Override for beam effect
-            beamParticle.vx = (Math.random() - 0.5) * 2;
-            beamParticle.vy = -300 - Math.random() * 200;
-            beamParticle.size = 2 + Math.random() * 3;
+            beamParticle.vx = (rng.next() - 0.5) * 2;
+            beamParticle.vy = -300 - rng.next() * 200;
+            beamParticle.size = 2 + rng.next() * 3;
             beamParticle.type = 'spark';
             
             particles.push(beamParticle);
@@ -266,7 +279,7 @@ export const createQuadClearEffect = (boardX, boardY, boardWidth, boardHeight) =
 /**
  * Create T-spin celebration effect
  */
-export const createTSpinEffect = (centerX, centerY) => {
+export const createTSpinEffect = (centerX, centerY, rng = cosmeticRng) => {
     const particles = [];
     const colors = ['#FF00FF', '#00FFFF', '#FFFF00', '#FF00FF'];
     
@@ -280,7 +293,8 @@ export const createTSpinEffect = (centerX, centerY) => {
             centerX + Math.cos(angle) * radius,
             centerY + Math.sin(angle) * radius,
             color,
-            0.8
+            0.8,
+            rng
         );
         
         // Override for spiral effect
@@ -1,15 +1,25 @@
 /**
  * physics-pure.js - Pure physics with ONE source of truth for collisions
  * REWRITTEN: Single collision detection function used everywhere
+ * 
+ * Board dimensions always come from the board array itself, so any
+ * width/height (including a hidden buffer zone on top) just works
  */
 
+import { getKicks } from './rotation-systems.js';
+
+// Board dimensions - rows are the board array, columns its row length
+export const boardWidth = (board) => board[0].length;
+export const boardHeight = (board) => board.length;
+
 // Simple board hash for cache invalidation
 const hashBoardSimple = (board) => {
     let hash = 0;
+    const width = boardWidth(board);
     for (let y = 0; y < board.length; y++) {
         for (let x = 0; x < board[y].length; x++) {
             if (board[y][x]) {
-                hash = ((hash << 5) - hash) + (y * 10 + x);
+                hash = ((hash << 5) - hash) + (y * width + x);
                 hash = hash & hash;
             }
         }
@@ -19,6 +29,9 @@ const hashBoardSimple = (board) => {
 
 // THE ONLY COLLISION FUNCTION - everything uses this
 export const canPieceFitAt = (board, piece, x, y) => {
+    const width = boardWidth(board);
+    const height = boardHeight(board);
+    
     return piece.shape.every((row, dy) =>
         row.every((cell, dx) => {
             if (!cell) return true; // Empty cell in shape
@@ -27,13 +40,13 @@ export const canPieceFitAt = (board, piece, x, y) => {
             const boardY = y + dy;
             
             // Out of bounds horizontally
-            if (boardX < 0 || boardX >= 10) return false;
+            if (boardX < 0 || boardX >= width) return false;
             
             // Above board is OK
             if (boardY < 0) return true;
             
             // Below board is not OK
-            if (boardY >= 20) return false;
+            if (boardY >= height) return false;
             
             // Check board collision
             return board[boardY][boardX] === null;
@@ -46,7 +59,7 @@ export const calculateShadow = (board, piece) => {
     let shadowY = piece.gridY;
     
     // Keep going down until we can't
-    while (shadowY < 20 && canPieceFitAt(board, piece, piece.gridX, shadowY + 1)) {
+    while (shadowY < boardHeight(board) && canPieceFitAt(board, piece, piece.gridX, shadowY + 1)) {
         shadowY++;
     }
     
@@ -58,8 +71,12 @@ export const isResting = (board, piece) => {
     return piece.gridY === calculateShadow(board, piece);
 };
 
-// Rotate piece shape
+// Rotate piece shape (direction 2 = 180 degrees)
 export const rotatePiece = (piece, direction) => {
+    if (direction === 2) {
+        return rotatePiece(rotatePiece(piece, 1), 1);
+    }
+    
     const n = piece.shape.length;
     const rotated = Array(n).fill().map(() => Array(n).fill(0));
     
@@ -80,31 +97,31 @@ export const rotatePiece = (piece, direction) => {
     };
 };
 
-// Try rotation with wall kicks
-export const tryRotation = (board, piece, direction) => {
-    const rotated = rotatePiece(piece, direction);
+// Try rotation with wall kicks from the given rotation system
+// The resulting piece records which kick was used (0 = none) for spin detection
+export const tryRotation = (board, piece, direction, system = 'SRS') => {
+    const rotated = {
+        ...rotatePiece(piece, direction),
+        kickIndex: 0,
+        lastRotationDirection: direction
+    };
     
     // Try base rotation first
     if (canPieceFitAt(board, rotated, rotated.gridX, rotated.gridY)) {
         return { success: true, piece: rotated };
     }
     
-    // O piece doesn't wall kick
-    if (piece.type === 'O') {
-        return { success: false };
-    }
-    
-    const kicks = getWallKicks(piece, direction);
+    const kicks = getWallKicks(piece, direction, system);
     
     // Try each wall kick
-    for (const kick of kicks) {
+    for (const [index, kick] of kicks.entries()) {
         const kickX = rotated.gridX + kick.x;
         const kickY = rotated.gridY + kick.y;
         
         if (canPieceFitAt(board, rotated, kickX, kickY)) {
             return { 
                 success: true, 
-                piece: { ...rotated, gridX: kickX, gridY: kickY }
+                piece: { ...rotated, gridX: kickX, gridY: kickY, kickIndex: index + 1 }
             };
         }
     }
@@ -112,52 +129,22 @@ export const tryRotation = (board, piece, direction) => {
     return { success: false };
 };
 
-// Get wall kicks for SRS
-export const getWallKicks = (piece, direction) => {
-    const kicks = {
-        'I': {
-            '0->1': [{x:-2,y:0}, {x:1,y:0}, {x:-2,y:-1}, {x:1,y:2}],
-            '1->0': [{x:2,y:0}, {x:-1,y:0}, {x:2,y:1}, {x:-1,y:-2}],
-            '1->2': [{x:-1,y:0}, {x:2,y:0}, {x:-1,y:2}, {x:2,y:-1}],
-            '2->1': [{x:1,y:0}, {x:-2,y:0}, {x:1,y:-2}, {x:-2,y:1}],
-            '2->3': [{x:2,y:0}, {x:-1,y:0}, {x:2,y:1}, {x:-1,y:-2}],
-            '3->2': [{x:-2,y:0}, {x:1,y:0}, {x:-2,y:-1}, {x:1,y:2}],
-            '3->0': [{x:1,y:0}, {x:-2,y:0}, {x:1,y:-2}, {x:-2,y:1}],
-            '0->3': [{x:-1,y:0}, {x:2,y:0}, {x:-1,y:2}, {x:2,y:-1}]
-        },
-        'default': {
-            '0->1': [{x:-1,y:0}, {x:-1,y:1}, {x:0,y:-2}, {x:-1,y:-2}],
-            '1->0': [{x:1,y:0}, {x:1,y:-1}, {x:0,y:2}, {x:1,y:2}],
-            '1->2': [{x:1,y:0}, {x:1,y:-1}, {x:0,y:2}, {x:1,y:2}],
-            '2->1': [{x:-1,y:0}, {x:-1,y:1}, {x:0,y:-2}, {x:-1,y:-2}],
-            '2->3': [{x:1,y:0}, {x:1,y:1}, {x:0,y:-2}, {x:1,y:-2}],
-            '3->2': [{x:-1,y:0}, {x:-1,y:-1}, {x:0,y:2}, {x:-1,y:2}],
-            '3->0': [{x:-1,y:0}, {x:-1,y:-1}, {x:0,y:2}, {x:-1,y:2}],
-            '0->3': [{x:1,y:0}, {x:1,y:1}, {x:0,y:-2}, {x:1,y:-2}]
-        }
-    };
-    
-    const fromRot = piece.rotation;
-    const toRot = (piece.rotation + direction + 4) % 4;
-    const key = `${fromRot}->${toRot}`;
-    
-    if (piece.type === 'I') {
-        return kicks.I[key] || [];
-    }
-    
-    return kicks.default[key] || [];
-};
+// Get wall kicks (board coordinates) for a rotation system
+export const getWallKicks = (piece, direction, system = 'SRS') =>
+    getKicks(system, piece, direction);
 
 // Place piece on board
 export const placePiece = (board, piece) => {
     const newBoard = board.map(row => [...row]);
+    const width = boardWidth(board);
+    const height = boardHeight(board);
     
     piece.shape.forEach((row, dy) => {
         row.forEach((cell, dx) => {
             if (cell) {
                 const x = piece.gridX + dx;
                 const y = piece.gridY + dy;
-                if (y >= 0 && y < 20 && x >= 0 && x < 10) {
+                if (y >= 0 && y < height && x >= 0 && x < width) {
                     newBoard[y][x] = piece.color;
                 }
             }
@@ -181,13 +168,24 @@ export const findClearedLines = (board) => {
 export const removeClearedLines = (board, lines) => {
     const newBoard = board.filter((row, index) => !lines.includes(index));
     
-    while (newBoard.length < 20) {
-        newBoard.unshift(Array(10).fill(null));
+    while (newBoard.length < boardHeight(board)) {
+        newBoard.unshift(Array(boardWidth(board)).fill(null));
     }
     
     return newBoard;
 };
 
+// Push rows in from the bottom - the top rows scroll off
+export const insertRowsAtBottom = (board, rows) => {
+    const kept = board.slice(rows.length).map(row => [...row]);
+    return [...kept, ...rows.map(row => [...row])];
+};
+
+// Would pushing up this many rows scroll blocks off the top?
+export const wouldOverflow = (board, count) => {
+    return board.slice(0, count).some(row => row.some(cell => cell !== null));
+};
+
 // Check if spawn is valid
 export const canSpawn = (board, piece) => {
     return canPieceFitAt(board, piece, piece.gridX, piece.gridY);
@@ -0,0 +1,73 @@
+/**
+ * practice.js - Undo/redo of placements in practice mode
+ *
+ * Every time a locked piece hands over to the next one, a full state
+ * snapshot (createStateSnapshot) goes on the past stack. Undo steps back
+ * to the previous placement's start and keeps the undone ones on the
+ * future stack until a new placement overwrites them.
+ *
+ * Snapshots carry RNG positions and a scoring engine copy, so the piece
+ * sequence and the recorded replay continue exactly from the restored point.
+ *
+ * Pure functions - the history is replaced, never mutated.
+ */
+
+import { createStateSnapshot, restoreStateSnapshot } from './game-state.js';
+
+// Oldest placements are dropped past this
+export const MAX_HISTORY = 200;
+
+/**
+ * Start a history at the first piece of a new game
+ */
+export const createHistory = (state) => ({
+    past: [createStateSnapshot(state)],
+    future: []
+});
+
+const latest = (history) => history.past[history.past.length - 1];
+
+/**
+ * Push a snapshot when a new piece has come in since the last one
+ * Call after every state change
+ */
+export const recordPlacement = (history, state) => {
+    if (state.phase !== 'FALLING' || state.pieces === latest(history).pieces) {
+        return history;
+    }
+
+    return {
+        past: [...history.past, createStateSnapshot(state)].slice(-MAX_HISTORY),
+        future: []
+    };
+};
+
+export const canUndo = (history) => history.past.length > 1;
+
+export const canRedo = (history) => history.future.length > 0;
+
+/**
+ * Back to the start of the previous placement - returns { history, state }
+ */
+export const undoPlacement = (history) => {
+    if (!canUndo(history)) return null;
+
+    const past = history.past.slice(0, -1);
+    return {
+        history: { past, future: [latest(history), ...history.future] },
+        state: restoreStateSnapshot(past[past.length - 1])
+    };
+};
+
+/**
+ * Replay an undone placement - returns { history, state }
+ */
+export const redoPlacement = (history) => {
+    if (!canRedo(history)) return null;
+
+    const [next, ...future] = history.future;
+    return {
+        history: { past: [...history.past, next], future },
+        state: restoreStateSnapshot(next)
+    };
+};
\ No newline at end of file
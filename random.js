@@ -4,6 +4,7 @@
  */
 
 // Linear congruential generator
+// getState/setState save and restore the position, e.g. for undo
 export const createRNG = (seed) => {
     let state = seed;
     
@@ -12,10 +13,23 @@ export const createRNG = (seed) => {
             state = (state * 1664525 + 1013904223) % 4294967296;
             return state / 4294967296;
         },
-        seed: () => state
+        seed: () => state,
+        getState: () => state,
+        setState: (saved) => {
+            state = saved;
+        }
     };
 };
 
+// Derive an independent seed for a named stream (e.g. cosmetic effects)
+export const deriveSeed = (seed, stream) => {
+    let hash = seed >>> 0;
+    for (let i = 0; i < stream.length; i++) {
+        hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+};
+
 // Choose random element from array
 export const choice = (array, rng) => {
     const index = Math.floor(rng.next() * array.length);
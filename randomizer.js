@@ -0,0 +1,139 @@
+/**
+ * randomizer.js - Pluggable piece randomizers
+ *
+ * Each strategy picks the next piece type from the pieces currently
+ * available, drawing only from the game RNG so sequences are fully
+ * determined by the seed.
+ *
+ * Randomizers carry internal state (bag contents, history) in a closure,
+ * like the RNG itself, and expose getState/setState for snapshots.
+ */
+
+import * as Random from './random.js';
+
+// Weights for special pieces in the weighted scheme
+const PIECE_WEIGHTS = {
+    'PLUS': 0.5,   // 50% weight
+    'U': 0.5,      // 50% weight
+    'DOT': 0.5,    // 50% weight
+    'DEFAULT': 1.0 // 100% weight
+};
+
+const FLOAT_CHANCE = 0.07;
+
+// History randomizer (TGM style) tuning
+const HISTORY_SIZE = 4;
+const HISTORY_ROLLS = 6;
+const HISTORY_SEED = ['Z', 'S', 'Z', 'S'];
+const HISTORY_BAD_OPENERS = ['S', 'Z', 'O'];
+
+/**
+ * Weighted progressive selection - NEON DROP's original flavor
+ */
+const selectWeightedPiece = (availablePieces, rng) => {
+    // Special handling for FLOAT (7% chance)
+    if (availablePieces.includes('FLOAT') && rng.next() < FLOAT_CHANCE) {
+        return 'FLOAT';
+    }
+
+    // Build weighted array (excluding FLOAT since we handled it)
+    const weightedPieces = availablePieces
+        .filter(piece => piece !== 'FLOAT')
+        .flatMap(piece => {
+            const weight = PIECE_WEIGHTS[piece] || PIECE_WEIGHTS.DEFAULT;
+            const count = Math.floor(weight * 100);
+            return Array(count).fill(piece);
+        });
+
+    return Random.choice(weightedPieces, rng);
+};
+
+/**
+ * Strategy factories - each returns { next, getState, setState }
+ */
+const STRATEGIES = {
+    // Uniform random, no memory
+    random: (rng) => ({
+        next: (pieces) => Random.choice(pieces, rng),
+        getState: () => null,
+        setState: () => {}
+    }),
+
+    // Current weighted progressive scheme
+    weighted: (rng) => ({
+        next: (pieces) => selectWeightedPiece(pieces, rng),
+        getState: () => null,
+        setState: () => {}
+    }),
+
+    // Shuffled bag of each piece once (7-bag for the standard set)
+    bag7: (rng) => createBagStrategy(rng, 1),
+
+    // Shuffled bag of each piece twice
+    bag14: (rng) => createBagStrategy(rng, 2),
+
+    // TGM style: reroll pieces found in recent history
+    history: (rng) => {
+        let history = [...HISTORY_SEED];
+        let first = true;
+
+        return {
+            next: (pieces) => {
+                let candidates = pieces;
+                if (first) {
+                    const safe = pieces.filter(p => !HISTORY_BAD_OPENERS.includes(p));
+                    candidates = safe.length > 0 ? safe : pieces;
+                }
+
+                let piece = Random.choice(candidates, rng);
+                for (let roll = 1; roll < HISTORY_ROLLS && history.includes(piece); roll++) {
+                    piece = Random.choice(candidates, rng);
+                }
+
+                first = false;
+                history = [...history.slice(1 - HISTORY_SIZE), piece];
+                return piece;
+            },
+            getState: () => ({ history: [...history], first }),
+            setState: (saved) => {
+                history = [...saved.history];
+                first = saved.first;
+            }
+        };
+    }
+};
+
+/**
+ * Bag strategy - refills from the available pieces when empty
+ */
+const createBagStrategy = (rng, copies) => {
+    let bag = [];
+
+    return {
+        next: (pieces) => {
+            if (bag.length === 0) {
+                const fill = Array(copies).fill(pieces).flat();
+                bag = Random.shuffle(fill, rng);
+            }
+            return bag.shift();
+        },
+        getState: () => ({ bag: [...bag] }),
+        setState: (saved) => {
+            bag = [...saved.bag];
+        }
+    };
+};
+
+export const RANDOMIZER_TYPES = Object.keys(STRATEGIES);
+
+/**
+ * Create a randomizer bound to the game RNG
+ */
+export const createRandomizer = (type, rng) => {
+    const factory = STRATEGIES[type];
+    if (!factory) {
+        throw new Error(`Unknown randomizer: ${type}`);
+    }
+
+    return { type, ...factory(rng) };
+};
\ No newline at end of file
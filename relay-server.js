@@ -0,0 +1,398 @@
+/**
+ * relay-server.js - Minimal WebSocket relay for online 1v1 (Node only)
+ *
+ * Pairs clients two at a time, hands both the same seed and relays
+ * their messages by frame. Each client simulates only its own board;
+ * the relay never runs the engine.
+ *
+ * Protocol (JSON text frames):
+ * - join    { name }                  Queue for an opponent -> waiting | start
+ * - rejoin  { matchId, token }        Reattach within the grace period -> resume
+ * - state   { frame, lock, ...delta } Board delta, relayed to the opponent
+ * - attack  { frame, lines }          Garbage for the opponent
+ * - hash    { frame, lock, hash }     Board hash after the sender's nth lock
+ * - resync  {}                        Ask the opponent for a full state
+ * - result  { outcome, frame, score, lines }  Game finished -> match-over
+ *
+ * Usage: node relay-server.js [port]
+ *
+ * The WebSocket layer is hand-rolled (RFC 6455 text frames, ping/close)
+ * so the relay runs with no dependencies.
+ */
+
+import http from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_MODE = 'ONLINE';
+const MAX_FRAME_BYTES = 1024 * 1024;
+const RECONNECT_GRACE_MS = 10000;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+const CLOSE_PROTOCOL_ERROR = 1002;
+
+// Messages a matched client may send straight through to its opponent
+const RELAYED_TYPES = ['state', 'attack', 'hash', 'resync'];
+
+/**
+ * WebSocket framing - pure functions
+ */
+
+export const acceptKey = (key) =>
+    createHash('sha1').update(key + WS_GUID).digest('base64');
+
+export const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Split a buffer of client frames into complete frames - returns { frames, rest }
+ * Throws on fragmented, unmasked (RFC 6455 5.1) or oversized frames
+ */
+export const decodeFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let cursor = offset + 2;
+
+        if ((first & 0x80) === 0) {
+            throw new Error('Fragmented frames are not supported');
+        }
+        if (!masked) {
+            throw new Error('Client frames must be masked');
+        }
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        if (length > MAX_FRAME_BYTES) {
+            throw new Error('Frame too large');
+        }
+
+        if (buffer.length < cursor + 4 + length) break;
+
+        const mask = buffer.subarray(cursor, cursor + 4);
+        const payload = Buffer.from(buffer.subarray(cursor + 4, cursor + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode: first & 0x0F, payload });
+        offset = cursor + 4 + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Wrap an upgraded socket as a JSON message connection
+ * head holds any frame bytes that arrived with the handshake
+ */
+const createConnection = (socket, head, onMessage, onClose) => {
+    let buffer = Buffer.alloc(0);
+    let closed = false;
+
+    const connection = {
+        id: randomUUID(),
+        name: null,
+        match: null,
+        send: (message) => {
+            if (closed) return;
+            socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+        },
+        close: (code = null) => {
+            if (closed) return;
+            closed = true;
+
+            let payload = Buffer.alloc(0);
+            if (code) {
+                payload = Buffer.alloc(2);
+                payload.writeUInt16BE(code);
+            }
+            socket.end(encodeFrame(OPCODES.CLOSE, payload));
+            onClose(connection);
+        }
+    };
+
+    const receive = (chunk) => {
+        if (closed) return;
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let decoded;
+        try {
+            decoded = decodeFrames(buffer);
+        } catch (e) {
+            connection.send({ type: 'error', message: e.message });
+            connection.close(CLOSE_PROTOCOL_ERROR);
+            return;
+        }
+        buffer = decoded.rest;
+
+        decoded.frames.forEach(({ opcode, payload }) => {
+            if (opcode === OPCODES.CLOSE) {
+                connection.close();
+            } else if (opcode === OPCODES.PING) {
+                socket.write(encodeFrame(OPCODES.PONG, payload));
+            } else if (opcode === OPCODES.TEXT) {
+                try {
+                    onMessage(connection, JSON.parse(payload.toString('utf8')));
+                } catch {
+                    connection.send({ type: 'error', message: 'Invalid message' });
+                }
+            }
+        });
+    };
+
+    const drop = () => {
+        if (closed) return;
+        closed = true;
+        onClose(connection);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+
+    // Upgraded sockets are half-open - finish our side when the client leaves
+    socket.on('end', () => socket.end());
+
+    socket.on('data', receive);
+    if (head && head.length > 0) receive(head);
+
+    return connection;
+};
+
+/**
+ * Create the relay - an HTTP server that upgrades to WebSocket
+ * Options: { mode } game mode name handed to matched players
+ */
+export const createRelayServer = ({ mode = DEFAULT_MODE } = {}) => {
+    let waiting = null;
+    const matches = new Map();
+
+    const opponentOf = (match, connection) =>
+        match.players.find(p => p.connection !== connection);
+
+    const playerOf = (match, connection) =>
+        match.players.find(p => p.connection === connection);
+
+    const endMatch = (match, winner, reason) => {
+        if (!matches.has(match.id)) return;
+        matches.delete(match.id);
+
+        match.players.forEach(p => {
+            clearTimeout(p.graceTimer);
+            if (p.connection) {
+                p.connection.send({ type: 'match-over', winner, reason, results: match.results });
+                p.connection.match = null;
+            }
+        });
+    };
+
+    const startMatch = (a, b) => {
+        const match = {
+            id: randomUUID(),
+            seed: Math.floor(Math.random() * 0x100000000) >>> 0,
+            mode,
+            results: [null, null],
+            players: [a, b].map((connection, index) => ({
+                index,
+                connection,
+                name: connection.name,
+                token: randomUUID(),
+                graceTimer: null
+            }))
+        };
+        matches.set(match.id, match);
+
+        match.players.forEach(p => {
+            p.connection.match = match;
+            p.connection.send({
+                type: 'start',
+                matchId: match.id,
+                token: p.token,
+                seed: match.seed,
+                mode: match.mode,
+                player: p.index,
+                opponent: opponentOf(match, p.connection).name
+            });
+        });
+    };
+
+    const handlers = {
+        join: (connection, message) => {
+            if (connection.match) {
+                connection.send({ type: 'error', message: 'Already in a match' });
+                return;
+            }
+
+            connection.name = String(message.name || 'PLAYER').slice(0, 12);
+
+            if (waiting && waiting !== connection) {
+                const opponent = waiting;
+                waiting = null;
+                startMatch(opponent, connection);
+            } else {
+                waiting = connection;
+                connection.send({ type: 'waiting' });
+            }
+        },
+
+        rejoin: (connection, message) => {
+            const match = matches.get(message.matchId);
+            const player = match && match.players.find(p => p.token === message.token);
+            if (!player || player.connection) {
+                connection.send({ type: 'error', message: 'Match not found' });
+                return;
+            }
+
+            clearTimeout(player.graceTimer);
+            player.connection = connection;
+            connection.name = player.name;
+            connection.match = match;
+
+            const opponent = opponentOf(match, connection);
+            connection.send({
+                type: 'resume',
+                matchId: match.id,
+                seed: match.seed,
+                mode: match.mode,
+                player: player.index,
+                opponent: opponent.name
+            });
+
+            // Rebuild the returning player's view of the opponent
+            if (opponent.connection) {
+                opponent.connection.send({ type: 'opponent-reconnected' });
+                opponent.connection.send({ type: 'resync' });
+            }
+        },
+
+        result: (connection, message) => {
+            const match = connection.match;
+            if (!match) return;
+
+            const player = playerOf(match, connection);
+            match.results[player.index] = {
+                outcome: message.outcome,
+                frame: message.frame,
+                score: message.score,
+                lines: message.lines
+            };
+
+            // First to top out loses; the relay's arrival order breaks ties
+            if (message.outcome === 'TOP_OUT') {
+                endMatch(match, 1 - player.index, 'top-out');
+            }
+        }
+    };
+
+    const onMessage = (connection, message) => {
+        if (handlers[message.type]) {
+            handlers[message.type](connection, message);
+            return;
+        }
+
+        if (RELAYED_TYPES.includes(message.type)) {
+            const match = connection.match;
+            if (!match) {
+                connection.send({ type: 'error', message: 'Not in a match' });
+                return;
+            }
+
+            const opponent = opponentOf(match, connection);
+            if (opponent.connection) {
+                opponent.connection.send({ ...message, from: playerOf(match, connection).index });
+            }
+            return;
+        }
+
+        connection.send({ type: 'error', message: `Unknown message: ${message.type}` });
+    };
+
+    const onClose = (connection) => {
+        if (waiting === connection) {
+            waiting = null;
+        }
+
+        const match = connection.match;
+        if (!match) return;
+
+        // Hold the seat open for a reconnect, then forfeit
+        const player = playerOf(match, connection);
+        player.connection = null;
+        const opponent = opponentOf(match, connection);
+        if (opponent.connection) {
+            opponent.connection.send({ type: 'opponent-disconnected', graceMs: RECONNECT_GRACE_MS });
+        }
+
+        player.graceTimer = setTimeout(
+            () => endMatch(match, opponent.index, 'disconnect'),
+            RECONNECT_GRACE_MS
+        );
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket relay - connect with ws://');
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        createConnection(socket, head, onMessage, onClose);
+    });
+
+    return server;
+};
+
+// Run as a script
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+
+    createRelayServer().listen(port, () => {
+        console.log(`Relay server listening on ws://localhost:${port}`);
+    });
+}
\ No newline at end of file
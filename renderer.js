@@ -5,12 +5,60 @@
  * Elements sit directly on the void, creating implied boundaries
  * 
  * UPDATED: Unified pixelated rendering for preview and hold pieces
+ * UPDATED: Board size follows the game mode (hidden buffer rows aren't drawn)
  */
 
 import { ChicletRenderer } from './chiclet.js';
 import * as Physics from './physics-pure.js';
 import * as ParticleSystem from './particle-system.js';
 import * as Engine from './game-engine.js';
+import { spinLabel } from './spin-detector.js';
+import { GARBAGE_COLOR, countGarbageRows, pendingGarbageLines } from './garbage.js';
+import { raceDelta } from './ghost-race.js';
+import { INPUT_LABELS, INPUT_GLOW_FRAMES } from './replay-viewer.js';
+import { finesseReport } from './finesse.js';
+import { bindingLabels, DEFAULT_BINDINGS } from './keybindings.js';
+
+// Classic board used before a mode is known
+const DEFAULT_BOARD = { width: 10, height: 20, buffer: 0 };
+
+// HUD is laid out for at least this many columns, even on narrow boards
+const MIN_HUD_COLUMNS = 10;
+
+// How long a spin or back-to-back callout stays on screen (simulated ms)
+const CALLOUT_DURATION = 1500;
+
+// Race ghost is drawn faintly under the live board
+const RACE_GHOST_OPACITY = 0.25;
+
+// Key hints follow the player's bindings (menu.keys), defaults otherwise
+const DEFAULT_KEY_LABELS = bindingLabels(DEFAULT_BINDINGS);
+const keyHints = (state) => (state.menu && state.menu.keys) || DEFAULT_KEY_LABELS;
+
+// End screen titles per outcome
+const OUTCOME_TITLES = {
+    TOP_OUT: { text: 'GAME OVER', color: '#FF0000' },
+    CLEAR: { text: 'COMPLETE', color: '#00FF00' },
+    TIME_UP: { text: 'TIME UP', color: '#FFFF00' },
+    QUIT: { text: 'SESSION END', color: '#00FFFF' },
+    WIN: { text: 'WINNER', color: '#00FF00' }
+};
+
+// m:ss.cc from simulated ms
+const formatTime = (ms) => {
+    const totalCentis = Math.floor(Math.max(0, ms) / 10);
+    const minutes = Math.floor(totalCentis / 6000);
+    const seconds = Math.floor(totalCentis / 100) % 60;
+    const centis = totalCentis % 100;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}.${centis.toString().padStart(2, '0')}`;
+};
+
+// Signed delta, e.g. "+2" or "-340"
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+// Leaderboard value for an entry - time for time-ranked modes, score otherwise
+const formatEntryValue = (entry, ranking) =>
+    ranking === 'time' ? formatTime(entry.duration) : entry.score.toString().padStart(6, '0');
 
 export class Renderer {
     constructor(canvas) {
@@ -23,12 +71,20 @@ export class Renderer {
         // Track last piece generation for spawn detection
         this.lastGeneration = 0;
         
-        this.setupCanvas();
+        this.setupCanvas(DEFAULT_BOARD);
     }
     
-    setupCanvas() {
-        const boardWidth = 10 * this.blockSize;  // 240px
-        const boardHeight = 20 * this.blockSize; // 480px
+    setupCanvas(board = this.boardConfig || DEFAULT_BOARD) {
+        this.boardConfig = board;
+        this.cols = board.width;
+        this.rows = board.height;
+        this.bufferRows = board.buffer || 0;
+        
+        const boardWidth = this.cols * this.blockSize;   // 240px on the classic board
+        const boardHeight = this.rows * this.blockSize;  // 480px on the classic board
+        const hudWidth = Math.max(boardWidth, MIN_HUD_COLUMNS * this.blockSize);
+        this.boardWidth = boardWidth;
+        this.boardHeight = boardHeight;
         
         // Equal margins for perfect centering
         const marginVertical = 40;   // Equal top and bottom margins
@@ -39,15 +95,20 @@ export class Renderer {
         const uiBottomHeight = 50;              // Space for scores and hold piece
         
         // Calculate total canvas size
-        this.canvas.width = marginHorizontal * 2 + boardWidth;
+        this.canvas.width = marginHorizontal * 2 + hudWidth;
         this.canvas.height = marginVertical + titleHeight + boardHeight + uiBottomHeight + marginVertical;
         
-        // Center the board horizontally
+        // Center the board horizontally, HUD spans at least the classic width
         this.boardX = (this.canvas.width - boardWidth) / 2;
+        this.hudX = (this.canvas.width - hudWidth) / 2;
+        this.hudWidth = hudWidth;
         
         // Position board vertically with equal spacing
         this.boardY = marginVertical + titleHeight;
         
+        // Grid row 0 - buffer rows sit above the visible board
+        this.originY = this.boardY - this.bufferRows * this.blockSize;
+        
         this.chicletRenderer.blockSize = this.blockSize;
         this.chicletRenderer.initialize();
         
@@ -55,7 +116,17 @@ export class Renderer {
         // <link href="https://fonts.googleapis.com/css2?family=Bungee&display=swap" rel="stylesheet">
     }
     
-    render(state, starfieldEnabled = false) {
+    /**
+     * Extras: race (ghost-race.js tracker) draws the ghost and deltas,
+     * viewer (replay-viewer.js viewerInfo) swaps the overlays for playback controls,
+     * settings (settings-menu.js settingsInfo) draws the key binding overlay on top
+     */
+    render(state, starfieldEnabled = false, { race = null, viewer = null, settings = null } = {}) {
+        // Follow the mode's board size
+        if (state.mode && state.mode.board !== this.boardConfig) {
+            this.setupCanvas(state.mode.board);
+        }
+        
         // If starfield is enabled, start with transparent canvas to show stars
         if (starfieldEnabled) {
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -65,8 +136,8 @@ export class Renderer {
             this.ctx.fillRect(
                 this.boardX,
                 this.boardY,
-                10 * this.blockSize,
-                20 * this.blockSize
+                this.boardWidth,
+                this.boardHeight
             );
         } else {
             // No starfield - fill entire canvas with black
@@ -74,6 +145,11 @@ export class Renderer {
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         }
         
+        // Race ghost sits underneath everything on the live board
+        if (race) {
+            this.renderRaceGhost(race.ghost.state);
+        }
+        
         // Draw game elements that define the board through negative space
         this.renderBoard(state);
         this.renderCurrentPiece(state);
@@ -91,33 +167,52 @@ export class Renderer {
         }
         
         this.renderTitle(state);
+        this.renderQueue(state);
+        this.renderGarbageMeter(state);
         this.renderHoldPiece(state);
         this.renderUI(state);
         this.renderStats(state);
+        this.renderCallout(state);
+        
+        if (race) {
+            this.renderRaceDelta(state, race);
+        }
         
         // Render particles if any
         if (state.particles && state.particles.length > 0) {
             this.renderParticles(state.particles);
         }
         
-        // Render overlays (menu, pause, game over)
-        this.renderOverlays(state);
+        // Replays show playback controls instead of the menu/pause/game over overlays
+        if (viewer) {
+            this.renderReplayControls(viewer);
+        } else {
+            this.renderOverlays(state);
+        }
+        
+        if (settings) {
+            this.renderSettings(settings);
+        }
     }
     
-    renderBoard(state) {
+    renderBoard(state, opacity = 1) {
         // No board background - just draw the pieces on the void
         state.board.forEach((row, y) => {
+            // Buffer zone is hidden
+            if (y < this.bufferRows) return;
+            
             row.forEach((color, x) => {
                 if (color) {
                     // Flash clearing lines
-                    if (state.clearingLines && state.clearingLines.includes(y)) {
-                        this.ctx.globalAlpha = 0.5 + 0.5 * Math.sin(Date.now() * 0.02);
-                    }
+                    const flashing = state.clearingLines && state.clearingLines.includes(y);
+                    this.ctx.globalAlpha = flashing
+                        ? opacity * (0.5 + 0.5 * Math.sin(Date.now() * 0.02))
+                        : opacity;
                     
                     this.chicletRenderer.drawBlock(
                         this.ctx,
                         this.boardX + x * this.blockSize,
-                        this.boardY + y * this.blockSize,
+                        this.originY + y * this.blockSize,
                         color, y, x
                     );
                     
@@ -127,6 +222,22 @@ export class Renderer {
         });
     }
     
+    /**
+     * Ghost run's board and falling piece, at grid positions (no smoothing)
+     */
+    renderRaceGhost(ghostState) {
+        this.renderBoard(ghostState, RACE_GHOST_OPACITY);
+        
+        if (ghostState.current && ghostState.phase !== 'GAME_OVER') {
+            this.renderPieceAt(
+                ghostState.current,
+                ghostState.current.gridX * this.blockSize,
+                ghostState.current.gridY * this.blockSize,
+                RACE_GHOST_OPACITY
+            );
+        }
+    }
+    
     renderCurrentPiece(state) {
         if (!state.current || state.phase === 'GAME_OVER') return;
         
@@ -168,7 +279,7 @@ export class Renderer {
                     this.chicletRenderer.drawBlock(
                         this.ctx,
                         this.boardX + pixelX + dx * this.blockSize,
-                        this.boardY + pixelY + dy * this.blockSize,
+                        this.originY + pixelY + dy * this.blockSize,
                         piece.color,
                         piece.rotation * 4 + dy,
                         piece.rotation * 4 + dx,
@@ -261,8 +372,11 @@ export class Renderer {
         // Title is "row -1" of the board grid
         const titleY = this.boardY - this.blockSize;
         
+        // Title needs the classic 10 columns; narrower boards show only the preview
+        const showTitle = this.cols >= 10;
+        
         // NEON blocks at columns 0-3
-        ['N', 'E', 'O', 'N'].forEach((letter, i) => {
+        (showTitle ? ['N', 'E', 'O', 'N'] : []).forEach((letter, i) => {
             const x = this.boardX + i * this.blockSize;
             
             // Draw the full chiclet block first
@@ -284,12 +398,13 @@ export class Renderer {
             this.ctx.restore();
         });
         
-        // DROP blocks at columns 6-9
-        ['D', 'R', 'O', 'P'].forEach((letter, i) => {
-            const x = this.boardX + (i + 6) * this.blockSize;
+        // DROP blocks at the last four columns
+        (showTitle ? ['D', 'R', 'O', 'P'] : []).forEach((letter, i) => {
+            const col = this.cols - 4 + i;
+            const x = this.boardX + col * this.blockSize;
             
             // Draw the full chiclet block first
-            this.chicletRenderer.drawBlock(this.ctx, x, titleY, '#FFFF00', 0, i + 6);
+            this.chicletRenderer.drawBlock(this.ctx, x, titleY, '#FFFF00', 0, col);
             
             // Now cut out the letter
             this.ctx.save();
@@ -308,8 +423,9 @@ export class Renderer {
         });
         
         // Pixelated preview piece in columns 4-5, sitting on board
-        if (state.next && state.phase !== 'GAME_OVER') {
-            const previewX = this.boardX + 5 * this.blockSize; // Center of columns 4-5
+        const next = state.queue && state.queue[0];
+        if (next && state.phase !== 'GAME_OVER') {
+            const previewX = this.boardX + this.boardWidth / 2; // Center of the board (columns 4-5 on 10 wide)
             
             // Calculate the scale based on I-piece fitting in preview area
             const targetWidth = this.blockSize * 2 - 2; // 46 pixels
@@ -317,13 +433,13 @@ export class Renderer {
             const universalScale = targetWidth / iPieceBaseWidth; // ~2.09
             
             // Calculate piece dimensions to position bottom at board edge
-            const pieceScale = state.next.type === 'FLOAT' ? 2 : 1;
+            const pieceScale = next.type === 'FLOAT' ? 2 : 1;
             const effectivePixelSize = 4 * pieceScale;
             const effectiveGapSize = 2 * pieceScale;
             
             // Find piece bounds
-            let minY = state.next.shape.length, maxY = 0;
-            state.next.shape.forEach((row, dy) => {
+            let minY = next.shape.length, maxY = 0;
+            next.shape.forEach((row, dy) => {
                 row.forEach((cell, dx) => {
                     if (cell) {
                         minY = Math.min(minY, dy);
@@ -336,7 +452,7 @@ export class Renderer {
             const scaledHeight = pieceHeight * universalScale;
             
             // Use unified renderer with bottom-aligned positioning
-            this.renderPixelatedPiece(state.next, {
+            this.renderPixelatedPiece(next, {
                 centerX: previewX,
                 centerY: this.boardY - scaledHeight / 2, // Position so bottom touches board
                 pixelSize: 4,
@@ -346,11 +462,58 @@ export class Renderer {
         }
     }
     
+    /**
+     * Rest of the preview queue, stacked down the right margin
+     * The first queued piece lives in the title row (see renderTitle)
+     */
+    renderQueue(state) {
+        if (!state.queue || state.queue.length < 2 || state.phase === 'GAME_OVER') return;
+        
+        const boardRight = this.boardX + this.boardWidth;
+        const marginCenterX = boardRight + (this.canvas.width - boardRight) / 2;
+        const slotHeight = 2 * this.blockSize;
+        
+        state.queue.slice(1).forEach((piece, i) => {
+            this.renderPixelatedPiece(piece, {
+                centerX: marginCenterX,
+                centerY: this.boardY + slotHeight * (i + 0.5),
+                maxWidth: this.blockSize * 2 - 2,
+                maxHeight: slotHeight - 8,
+                pixelSize: 4,
+                gapSize: 2,
+                scale: 1.5,
+                opacity: 1 - i * 0.12  // Fade further lookahead
+            });
+        });
+    }
+    
+    renderGarbageMeter(state) {
+        const pending = pendingGarbageLines(state.pendingGarbage);
+        if (pending === 0 || state.phase === 'GAME_OVER') return;
+        
+        // Bar beside the board's left edge, one cell per incoming line
+        const rows = Math.min(pending, this.rows);
+        const meterWidth = 6;
+        const x = this.boardX - meterWidth - 2;
+        const height = rows * this.blockSize;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = pending >= this.rows / 2 ? '#FF0000' : GARBAGE_COLOR;
+        this.ctx.fillRect(x, this.boardY + this.boardHeight - height, meterWidth, height);
+        
+        // Batch separators
+        this.ctx.fillStyle = '#000000';
+        for (let i = 1; i < rows; i++) {
+            this.ctx.fillRect(x, this.boardY + this.boardHeight - i * this.blockSize, meterWidth, 1);
+        }
+        this.ctx.restore();
+    }
+    
     renderHoldPiece(state) {
         if (!state.hold) return;
         
         // Hold piece at bottom center, between scores
-        const boardBottom = this.boardY + 20 * this.blockSize;
+        const boardBottom = this.boardY + this.boardHeight;
         const boardCenterX = this.canvas.width / 2;  // True center of canvas
         
         // Calculate the universal scale based on I-piece
@@ -393,7 +556,7 @@ export class Renderer {
     }
     
     renderUI(state) {
-        const boardBottom = this.boardY + 20 * this.blockSize;
+        const boardBottom = this.boardY + this.boardHeight;
 
         // Position elements 1 pixel below board
         const uiY = boardBottom + 1;
@@ -402,28 +565,47 @@ export class Renderer {
         this.ctx.font = '16px monospace';
         this.ctx.textBaseline = 'top'; // Align text by its top edge
 
-        // P1 score - left aligned with board
+        // Player score - left aligned with board
         this.ctx.textAlign = 'left';
         const p1Score = state.score.toString().padStart(6, '0');
 
-        // Check if beating high score
-        const isNewHighScore = state.score > (state.highScore || 0);
+        // Check if beating high score (time-ranked, versus and practice modes don't race the score)
+        const racesHighScore = state.mode.ranking !== 'time' && !state.mode.versus && !state.mode.practice;
+        const isNewHighScore = racesHighScore && state.score > (state.highScore || 0);
         this.ctx.fillStyle = isNewHighScore ? '#FFFF00' : '#FFFFFF';
-        this.ctx.fillText(`P1 ${p1Score}`, this.boardX, uiY);
+        this.ctx.fillText(`${state.playerLabel || 'P1'} ${p1Score}`, this.hudX, uiY);
 
         // High score - right aligned with board
         this.ctx.textAlign = 'right';
         const displayHighScore = isNewHighScore ? state.score : (state.highScore || 0);
         const highScore = displayHighScore.toString().padStart(6, '0');
-        const rightX = this.boardX + 10 * this.blockSize;
+        const rightX = this.hudX + this.hudWidth;
         this.ctx.fillStyle = isNewHighScore ? '#FFFF00' : '#FFFFFF';
         this.ctx.fillText(`HS ${highScore}`, rightX, uiY);
+        
+        // Mode goal progress underneath scoring elements
+        const modeStatus = this.getModeStatus(state);
+        if (modeStatus) {
+            this.ctx.textAlign = 'center';
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(modeStatus, this.boardX + this.boardWidth / 2, uiY + 16);
+        }
+        
+        // Finesse faults so far - red right after a wasteful placement
+        const statusY = uiY + (modeStatus ? 32 : 16);
+        const showFinesse = state.finesse && state.phase !== 'MENU' && state.phase !== 'GAME_OVER';
+        if (showFinesse) {
+            const { faults, last } = state.finesse;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillStyle = last && last.faults > 0 ? '#FF4444' : '#FFFFFF';
+            this.ctx.fillText(`FINESSE ${faults}`, this.boardX + this.boardWidth / 2, statusY);
+        }
 
         // Render glowing high score indicator underneath scoring elements
         if (isNewHighScore && state.phase !== 'GAME_OVER') {
             this.ctx.save();
-            const boardCenterX = this.boardX + 5 * this.blockSize;
-            const glowY = uiY + 16; // Adjust to place it below the scoring elements
+            const boardCenterX = this.boardX + this.boardWidth / 2;
+            const glowY = statusY + (showFinesse ? 16 : 0); // Adjust to place it below the scoring elements
             this.ctx.font = 'bold 16px monospace';
             this.ctx.fillStyle = 'rgba(255, 200, 0, 0.5)'; // Warm glow at 50% opacity
             this.ctx.textAlign = 'center';
@@ -435,13 +617,159 @@ export class Renderer {
         }
     }
     
+    /**
+     * Goal progress text for the HUD - lines left, clock or time remaining
+     */
+    getModeStatus(state) {
+        if (state.mode.practice && state.phase !== 'MENU') {
+            const keys = keyHints(state);
+            return `${keys.UNDO} UNDO  ${keys.REDO} REDO`;
+        }
+        
+        const goal = state.mode.goal;
+        if (!goal || state.phase === 'MENU') return null;
+        
+        if (goal.timeLimit) {
+            return `TIME ${formatTime(goal.timeLimit - state.elapsedTime)}`;
+        }
+        
+        if (goal.digRows) {
+            return `DIG ${countGarbageRows(state.board)} ${formatTime(state.elapsedTime)}`;
+        }
+        
+        const lines = `LINES ${Math.min(state.lines, goal.lines)}/${goal.lines}`;
+        return state.mode.ranking === 'time' ? `${lines} ${formatTime(state.elapsedTime)}` : lines;
+    }
+    
     renderStats(state) {
         // Stats removed - keeping it clean and simple
     }
     
+    renderCallout(state) {
+        if (state.phase === 'MENU' || state.phase === 'GAME_OVER') return;
+        
+        const centerX = this.boardX + this.boardWidth / 2;
+        const calloutY = this.boardY + this.boardHeight / 4;
+        
+        // Spin callout fades out over the simulated clock
+        if (state.lastSpin) {
+            const lineNames = ['', ' SINGLE', ' DOUBLE', ' TRIPLE', ' QUAD'];
+            const text = spinLabel(state.lastSpin) + (lineNames[state.lastSpin.lines] || '');
+            this.renderFadingText(state, state.lastSpin.time, text, '#FF00FF', centerX, calloutY);
+        }
+        
+        // Back-to-back chain from the second difficult clear on
+        if (state.lastClear && state.lastClear.backToBack > 1) {
+            const text = `B2B x${state.lastClear.backToBack - 1}`;
+            this.renderFadingText(state, state.lastClear.time, text, '#FFFF00', centerX, calloutY + this.blockSize);
+        }
+    }
+    
+    /**
+     * Live minus ghost along the top of the board - green when ahead
+     */
+    renderRaceDelta(state, race) {
+        if (state.phase === 'MENU') return;
+        
+        const delta = raceDelta(race, state);
+        const timeRanked = state.mode && state.mode.ranking === 'time';
+        
+        let text;
+        let ahead;
+        if (timeRanked) {
+            if (delta.time === null) return;
+            text = `${delta.time > 0 ? '+' : '-'}${(Math.abs(delta.time) / 1000).toFixed(2)}s`;
+            ahead = delta.time <= 0;
+        } else {
+            text = `LINES ${formatSigned(delta.lines)}  SCORE ${formatSigned(delta.score)}`;
+            ahead = delta.score >= 0;
+        }
+        
+        this.ctx.save();
+        this.ctx.font = 'bold 14px monospace';
+        this.ctx.fillStyle = ahead ? '#00FF00' : '#FF0000';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, this.boardX + this.boardWidth / 2, this.boardY + this.blockSize);
+        this.ctx.restore();
+    }
+    
+    renderFadingText(state, time, text, color, x, y) {
+        const age = state.elapsedTime - time;
+        if (age < 0 || age >= CALLOUT_DURATION) return;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = 1 - age / CALLOUT_DURATION;
+        this.ctx.font = 'bold 16px monospace';
+        this.ctx.fillStyle = color;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 10;
+        this.ctx.fillText(text, x, y);
+        this.ctx.restore();
+    }
+    
     renderParticles(particles) {
         if (!particles || particles.length === 0) return;
+        
+        // Particles are created in board-local pixels
+        this.ctx.save();
+        this.ctx.translate(this.boardX, this.originY);
         ParticleSystem.renderParticles(this.ctx, particles);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Replay viewer: progress bar, clock, speed and the input overlay
+     */
+    renderReplayControls(viewer) {
+        const bottom = this.boardY + this.boardHeight;
+        const centerX = this.boardX + this.boardWidth / 2;
+        const progress = viewer.totalFrames > 0 ? Math.min(1, viewer.frame / viewer.totalFrames) : 0;
+        
+        this.ctx.save();
+        
+        // Progress bar along the bottom edge
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        this.ctx.fillRect(this.boardX, bottom - 4, this.boardWidth, 4);
+        this.ctx.fillStyle = '#00FFFF';
+        this.ctx.fillRect(this.boardX, bottom - 4, this.boardWidth * progress, 4);
+        
+        // Clock, frame and speed
+        this.ctx.font = '12px monospace';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.textAlign = 'left';
+        const clock = `${formatTime(viewer.frame * viewer.tickRate)} / ${formatTime(viewer.totalFrames * viewer.tickRate)}`;
+        this.ctx.fillText(clock, this.boardX + 4, bottom - 14);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`F${viewer.frame}  ${viewer.speed}x`, this.boardX + this.boardWidth - 4, bottom - 14);
+        
+        if (viewer.paused) {
+            this.ctx.font = 'bold 16px monospace';
+            this.ctx.fillStyle = '#FFFF00';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('PAUSED', centerX, this.boardY + this.blockSize);
+        }
+        
+        // Input overlay - keys light up when pressed and fade over a few frames
+        const keyWidth = this.boardWidth / INPUT_LABELS.length;
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'center';
+        INPUT_LABELS.forEach((label, i) => {
+            const age = viewer.inputs[label];
+            const x = this.boardX + i * keyWidth;
+            const y = bottom - 40;
+            
+            this.ctx.globalAlpha = age === undefined ? 0.3 : 1 - age / INPUT_GLOW_FRAMES;
+            this.ctx.strokeStyle = age === undefined ? '#888888' : '#FF00FF';
+            this.ctx.strokeRect(x + 1, y, keyWidth - 2, 16);
+            this.ctx.fillStyle = age === undefined ? '#888888' : '#FFFFFF';
+            this.ctx.fillText(label, x + keyWidth / 2, y + 8);
+        });
+        
+        this.ctx.restore();
     }
     
     renderOverlays(state) {
@@ -452,9 +780,9 @@ export class Renderer {
         
         // Render phase-specific content
         const overlayContent = {
-            'MENU': () => this.renderMenuContent(),
-            'PAUSED': () => this.renderPausedContent(),
-            'GAME_OVER': () => this.renderGameOverContent()
+            'MENU': () => this.renderMenuContent(state),
+            'PAUSED': () => this.renderPausedContent(state),
+            'GAME_OVER': () => this.renderGameOverContent(state)
         };
         
         overlayContent[state.phase]?.();
@@ -465,16 +793,20 @@ export class Renderer {
         this.ctx.fillRect(
             this.boardX, 
             this.boardY,
-            10 * this.blockSize,
-            20 * this.blockSize
+            this.boardWidth,
+            this.boardHeight
         );
     }
     
-    renderMenuContent() {
+    renderMenuContent(state) {
         // Stretch "PRESS SPACE TO START" to exactly fit board width
         const text = 'PRESS SPACE TO START';
-        const boardWidth = 10 * this.blockSize;
-        const centerY = this.boardY + 10 * this.blockSize;
+        
+        if (state.menu) {
+            this.renderModeSelect(state.menu);
+        }
+        const boardWidth = this.boardWidth;
+        const centerY = this.boardY + this.boardHeight / 2;
         
         // Use Bungee font to match title
         const fontSize = 14;
@@ -503,28 +835,240 @@ export class Renderer {
             this.ctx.fillText(text[i], x, centerY);
             x += charWidths[i] + (i < text.length - 1 ? spacingPerGap : 0);
         }
+        
+        if (state.menu) {
+            this.renderProfilePicker(state.menu, centerY);
+        }
     }
     
-    renderPausedContent() {
+    /**
+     * Selected mode near the top of the board
+     */
+    renderModeSelect(menu) {
+        const centerX = this.boardX + this.boardWidth / 2;
+        const y = this.boardY + 2 * this.blockSize;
+        
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = 'bold 16px monospace';
+        this.ctx.fillStyle = '#00FFFF';
+        this.ctx.fillText(`< ${menu.modeLabel} >`, centerX, y);
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText(`${menu.keys.NEXT_MODE} CHANGE MODE`, centerX, y + 0.75 * this.blockSize);
+        
+        // Online connection status
+        if (menu.status) {
+            this.ctx.fillStyle = '#FFFF00';
+            this.ctx.fillText(menu.status, centerX, y + 1.5 * this.blockSize);
+        }
+        
+        // Ghost race toggle and where the ghost comes from
+        if (menu.ghost) {
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText(`${menu.keys.GHOST} GHOST ${menu.ghost}`, centerX, y + 2.25 * this.blockSize);
+        }
+        
+        if (menu.canWatch) {
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText(`${menu.keys.VIEW_REPLAY} WATCH REPLAY`, centerX, y + 3 * this.blockSize);
+        }
+        
+        // AI demo or versus opponent, with its pace
+        if (menu.bot) {
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText(`${menu.keys.BOT} ${menu.bot}  ${menu.keys.BOT_SLOWER} ${menu.keys.BOT_FASTER} PPS`, centerX, y + 3.75 * this.blockSize);
+        }
+        this.ctx.restore();
+    }
+    
+    /**
+     * Active profile and top of the leaderboard, above and below the start prompt
+     */
+    renderProfilePicker(menu, centerY) {
+        const centerX = this.boardX + this.boardWidth / 2;
+        
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        // Profile name with cycle hint
+        this.ctx.font = '16px monospace';
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.fillText(`PLAYER ${menu.profileName}`, centerX, centerY - 3 * this.blockSize);
+        
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#888888';
+        const personalBest = menu.personalBest ? formatEntryValue(menu.personalBest, menu.ranking) : '-';
+        this.ctx.fillText(`PB ${personalBest}`, centerX, centerY - 2 * this.blockSize);
+        this.ctx.fillText(`${menu.keys.NEXT_PROFILE} NEXT PLAYER  ${menu.keys.NEW_PROFILE} NEW PLAYER`, centerX, centerY - 1.25 * this.blockSize);
+        
+        // Top five entries
+        this.ctx.font = '12px monospace';
+        menu.entries.slice(0, 5).forEach((entry, i) => {
+            const y = centerY + (2 + i * 0.75) * this.blockSize;
+            const isActive = entry.player === menu.profileName;
+            this.ctx.fillStyle = isActive ? '#FFFF00' : '#FFFFFF';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${i + 1}. ${entry.player}`, this.boardX + this.blockSize, y);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(formatEntryValue(entry, menu.ranking), this.boardX + this.boardWidth - this.blockSize, y);
+        });
+        
+        this.ctx.fillStyle = '#888888';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${menu.keys.SETTINGS} SETTINGS`, centerX, centerY + 7 * this.blockSize);
+        
+        this.ctx.restore();
+    }
+    
+    renderPausedContent(state) {
         this.ctx.font = '36px monospace';
         this.ctx.fillStyle = '#FFFF00';
         this.ctx.textAlign = 'center';
         this.ctx.fillText('PAUSED', 
-            this.boardX + 10 * this.blockSize / 2,
-            this.boardY + 20 * this.blockSize / 2);
+            this.boardX + this.boardWidth / 2,
+            this.boardY + this.boardHeight / 2);
+        
+        // Endless and practice sessions end from here
+        const keys = keyHints(state);
+        if (Engine.canEndSession(state.mode)) {
+            this.ctx.font = '16px monospace';
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(`${keys.ENTER} END SESSION`,
+                this.boardX + this.boardWidth / 2,
+                this.boardY + this.boardHeight / 2 + 40);
+        }
+        
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#888888';
+        this.ctx.fillText(`${keys.SETTINGS} SETTINGS`,
+            this.boardX + this.boardWidth / 2,
+            this.boardY + this.boardHeight / 2 + 70);
     }
     
-    renderGameOverContent() {
+    renderGameOverContent(state) {
+        const title = OUTCOME_TITLES[state.outcome] || OUTCOME_TITLES.TOP_OUT;
         this.ctx.font = '36px monospace';
-        this.ctx.fillStyle = '#FF0000';
+        this.ctx.fillStyle = title.color;
         this.ctx.textAlign = 'center';
-        const centerX = this.boardX + 10 * this.blockSize / 2;
-        const centerY = this.boardY + 20 * this.blockSize / 2;
-        this.ctx.fillText('GAME OVER', centerX, centerY - 20);
+        const centerX = this.boardX + this.boardWidth / 2;
+        const centerY = this.boardY + this.boardHeight / 2;
+        this.ctx.fillText(title.text, centerX, centerY - 20);
         
+        // Mode result - clear time for time-ranked modes, score otherwise
         this.ctx.font = '18px monospace';
         this.ctx.fillStyle = '#FFFFFF';
-        this.ctx.fillText('Press Space to restart', centerX, centerY + 20);
+        const ranksByTime = state.mode.ranking === 'time';
+        const summary = ranksByTime
+            ? (state.outcome === 'CLEAR' ? `TIME ${formatTime(state.elapsedTime)}` : this.getModeStatus(state))
+            : `SCORE ${state.score}`;
+        this.ctx.fillText(summary, centerX, centerY + 20);
+        this.ctx.fillText('Press Space to restart', centerX, centerY + 50);
+        
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#888888';
+        const keys = keyHints(state);
+        this.ctx.fillText(`${keys.EXPORT_REPLAY} SAVE REPLAY  ${keys.VIEW_REPLAY} WATCH`, centerX, centerY + 105);
+        if (state.mode.practice) {
+            this.ctx.fillText(`${keys.UNDO} UNDO`, centerX, centerY + 120);
+        }
+        
+        this.renderFinesseReport(state, centerX, centerY + 145);
+        
+        // Leaderboard placement
+        if (state.result && state.result.rank) {
+            this.ctx.font = '16px monospace';
+            this.ctx.fillStyle = '#FFFF00';
+            this.ctx.fillText(`${state.result.player} RANK #${state.result.rank}`, centerX, centerY + 80);
+        }
+    }
+    
+    /**
+     * Settings overlay - handling values, then one row per action with its keys,
+     * scrolling with the cursor
+     */
+    renderSettings(settings) {
+        const centerX = this.canvas.width / 2;
+        const left = this.hudX;
+        const right = this.hudX + this.hudWidth;
+        const rowHeight = 0.9 * this.blockSize;
+        const top = this.boardY + 2.5 * this.blockSize;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        this.ctx.fillRect(left, this.boardY, this.hudWidth, this.boardHeight);
+        
+        this.ctx.textBaseline = 'middle';
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 16px monospace';
+        this.ctx.fillStyle = '#00FFFF';
+        this.ctx.fillText('SETTINGS', centerX, this.boardY + this.blockSize);
+        
+        // More rows above or below the visible slice
+        this.ctx.font = '12px monospace';
+        this.ctx.fillStyle = '#888888';
+        const { first, total } = settings.scroll;
+        if (first > 0) {
+            this.ctx.fillText('...', centerX, top - 0.75 * rowHeight);
+        }
+        if (first + settings.rows.length < total) {
+            this.ctx.fillText('...', centerX, top + (settings.rows.length - 0.25) * rowHeight);
+        }
+        
+        settings.rows.forEach((row, i) => {
+            const y = top + i * rowHeight;
+            const waiting = row.selected && settings.capturing;
+            
+            const color = row.selected ? '#FFFF00' : '#FFFFFF';
+            this.ctx.fillStyle = color;
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${row.selected ? '>' : ' '} ${row.label}`, left + 4, y);
+            
+            // Unbound actions show in red, the selected handling value gets arrows
+            this.ctx.fillStyle = waiting ? '#FF00FF' : (row.value ? color : '#FF4444');
+            this.ctx.textAlign = 'right';
+            let value = row.value || 'NONE';
+            if (waiting) value = '...';
+            else if (row.selected && row.adjustable) value = `< ${value} >`;
+            this.ctx.fillText(value, right - 4, y);
+        });
+        
+        // Conflict and capture messages, then the fixed overlay keys (and buttons with a pad connected)
+        const bottom = this.boardY + this.boardHeight;
+        this.ctx.textAlign = 'center';
+        if (settings.message) {
+            this.ctx.fillStyle = '#FFFF00';
+            this.ctx.fillText(settings.message, centerX, bottom - (settings.pads > 0 ? 3.25 : 2.5) * this.blockSize);
+        }
+        
+        this.ctx.fillStyle = '#888888';
+        if (settings.pads > 0) {
+            this.ctx.fillText('PAD: A BIND  X CLEAR  Y RESET  B DONE', centerX, bottom - 2.25 * this.blockSize);
+        }
+        this.ctx.fillText('ENTER BIND  BKSP CLEAR  R RESET', centerX, bottom - 1.5 * this.blockSize);
+        this.ctx.fillText('<> ADJUST  ESC DONE', centerX, bottom - 0.75 * this.blockSize);
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Post-game finesse summary - faults, perfect placements and the worst piece
+     */
+    renderFinesseReport(state, centerX, y) {
+        if (!state.finesse || state.finesse.judged === 0) return;
+        
+        const report = finesseReport(state.finesse);
+        this.ctx.font = '14px monospace';
+        this.ctx.fillStyle = report.faults > 0 ? '#FF4444' : '#00FF00';
+        this.ctx.fillText(`FINESSE ${report.faults}  ${Math.round(report.perfectRate * 100)}% PERFECT`, centerX, y);
+        
+        if (report.worst) {
+            this.ctx.font = '12px monospace';
+            this.ctx.fillStyle = '#888888';
+            this.ctx.fillText(`MOST FAULTS: ${report.worst.type} x${report.worst.faults}`, centerX, y + 18);
+        }
     }
     
     getVisualPosition(state, piece) {
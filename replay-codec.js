@@ -0,0 +1,362 @@
+/**
+ * replay-codec.js - Compact binary replay format
+ *
+ * Layout (format version 1):
+ * - Magic "ND" and the format version byte
+ * - Header: only what re-simulation and verification need - varint seed,
+ *   mode name (varint length + UTF-8), preview count byte (0 = mode
+ *   default) and a claims byte; finished games follow it with varint
+ *   total frames, final score and final lines, and the 32-byte final
+ *   board hash
+ * - Inputs: varint count, then per input a varint frame delta,
+ *   an opcode byte and the opcode's operands
+ * - CRC-32 of everything before it, 4 bytes big-endian
+ *
+ * Inputs round-trip exactly. Input timestamps are rebuilt from frames
+ * and state snapshots are dropped - re-simulation recreates both, and
+ * stats, start time and the other metadata aren't kept. Actions without
+ * an opcode are stored as inline JSON.
+ *
+ * Pure functions, no DOM dependencies.
+ */
+
+import { REPLAY_TICK_RATE } from './scoring-engine.js';
+import { unwrapReplay } from './replay-player.js';
+
+export const FORMAT_VERSION = 1;
+
+const MAGIC = [0x4E, 0x44]; // "ND"
+
+// Claims byte flags
+const HAS_TOTALS = 1;
+const HAS_BOARD_HASH = 2;
+
+const BOARD_HASH_BYTES = 32;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Opcodes - fixed actions match exactly, the rest carry operands
+ */
+const OPCODES = [
+    { code: 1, action: { type: 'MOVE', dx: -1, dy: 0 } },
+    { code: 2, action: { type: 'MOVE', dx: 1, dy: 0 } },
+    { code: 3, action: { type: 'MOVE', dx: 0, dy: 1 } },
+    { code: 4, type: 'MOVE', fields: ['dx', 'dy'] },
+    { code: 5, action: { type: 'ROTATE', direction: 1 } },
+    { code: 6, action: { type: 'ROTATE', direction: -1 } },
+    { code: 7, type: 'ROTATE', fields: ['direction'] },
+    { code: 8, action: { type: 'ROTATE_180' } },
+    { code: 9, action: { type: 'UP_PRESSED' } },
+    { code: 10, action: { type: 'HARD_DROP' } },
+    { code: 11, action: { type: 'HOLD' } },
+    { code: 12, action: { type: 'END_SESSION' } },
+    { code: 13, type: 'GARBAGE', fields: ['lines'] },
+    { code: 14, action: { type: 'MOVE', dx: -1, dy: 0, repeat: true } },
+    { code: 15, action: { type: 'MOVE', dx: 1, dy: 0, repeat: true } },
+    { code: 16, action: { type: 'MOVE', dx: 0, dy: 1, repeat: true } }
+];
+
+const JSON_OPCODE = 0;
+
+const hasExactKeys = (action, keys) => {
+    const actionKeys = Object.keys(action);
+    return actionKeys.length === keys.length && keys.every(key => actionKeys.includes(key));
+};
+
+const matchesOpcode = (op, action) => {
+    if (op.action) {
+        return hasExactKeys(action, Object.keys(op.action)) &&
+            Object.keys(op.action).every(key => action[key] === op.action[key]);
+    }
+
+    return action.type === op.type &&
+        hasExactKeys(action, ['type', ...op.fields]) &&
+        op.fields.every(field => Number.isSafeInteger(action[field]));
+};
+
+/**
+ * CRC-32 (IEEE) lookup table
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Unsigned LEB128 varints - arithmetic so values past 2^31 survive
+ */
+const writeVarint = (out, value) => {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`Cannot encode varint: ${value}`);
+    }
+
+    let rest = value;
+    while (rest >= 0x80) {
+        out.push((rest % 0x80) | 0x80);
+        rest = Math.floor(rest / 0x80);
+    }
+    out.push(rest);
+};
+
+// Signed operands are zigzag encoded: 0, -1, 1, -2, ... -> 0, 1, 2, 3, ...
+const writeSigned = (out, value) => writeVarint(out, value < 0 ? -value * 2 - 1 : value * 2);
+
+const writeBytes = (out, bytes) => {
+    writeVarint(out, bytes.length);
+    bytes.forEach(byte => out.push(byte));
+};
+
+const hexToBytes = (hex) => {
+    if (typeof hex !== 'string' || !new RegExp(`^[0-9a-f]{${BOARD_HASH_BYTES * 2}}$`).test(hex)) {
+        throw new Error('Cannot encode replay: malformed board hash');
+    }
+    return Array.from({ length: BOARD_HASH_BYTES }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+};
+
+const bytesToHex = (bytes) =>
+    Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Byte reader over a Uint8Array - throws on truncated data
+ */
+const createReader = (bytes) => {
+    let offset = 0;
+
+    const byte = () => {
+        if (offset >= bytes.length) {
+            throw new Error('Invalid replay: unexpected end of data');
+        }
+        return bytes[offset++];
+    };
+
+    const varint = () => {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const b = byte();
+            value += (b & 0x7F) * scale;
+            if (!(b & 0x80)) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Invalid replay: varint too long');
+            }
+        }
+    };
+
+    const signed = () => {
+        const value = varint();
+        return value % 2 ? -(value + 1) / 2 : value / 2;
+    };
+
+    const fixed = (length) => {
+        if (offset + length > bytes.length) {
+            throw new Error('Invalid replay: unexpected end of data');
+        }
+        offset += length;
+        return bytes.subarray(offset - length, offset);
+    };
+
+    const chunk = () => fixed(varint());
+
+    return { byte, varint, signed, fixed, chunk, offset: () => offset };
+};
+
+const writeInput = (out, input, previousFrame) => {
+    const delta = input.frame - previousFrame;
+    if (!Number.isSafeInteger(input.frame) || delta < 0) {
+        throw new Error(`Cannot encode replay: input frames out of order at frame ${input.frame}`);
+    }
+    writeVarint(out, delta);
+
+    const { action } = input;
+    const op = OPCODES.find(candidate => matchesOpcode(candidate, action));
+    if (!op) {
+        out.push(JSON_OPCODE);
+        writeBytes(out, encoder.encode(JSON.stringify(action)));
+        return;
+    }
+
+    out.push(op.code);
+    if (op.fields) {
+        op.fields.forEach(field => writeSigned(out, action[field]));
+    }
+};
+
+const readAction = (reader) => {
+    const code = reader.byte();
+    if (code === JSON_OPCODE) {
+        return JSON.parse(decoder.decode(reader.chunk()));
+    }
+
+    const op = OPCODES.find(candidate => candidate.code === code);
+    if (!op) {
+        throw new Error(`Invalid replay: unknown opcode ${code}`);
+    }
+
+    if (op.action) return { ...op.action };
+
+    const action = { type: op.type };
+    op.fields.forEach(field => { action[field] = reader.signed(); });
+    return action;
+};
+
+const writeHeader = (out, data) => {
+    if (data.tickRate !== undefined && data.tickRate !== REPLAY_TICK_RATE) {
+        throw new Error(`Cannot encode replay: unsupported tick rate ${data.tickRate}`);
+    }
+
+    writeVarint(out, data.seed);
+    writeBytes(out, encoder.encode(data.mode || ''));
+
+    const previewCount = data.options && data.options.previewCount;
+    out.push(Number.isInteger(previewCount) && previewCount > 0 && previewCount < 0x100 ? previewCount : 0);
+
+    const hasTotals = data.totalFrames !== undefined;
+    const hasBoardHash = hasTotals && data.finalBoardHash !== undefined;
+    out.push((hasTotals ? HAS_TOTALS : 0) | (hasBoardHash ? HAS_BOARD_HASH : 0));
+
+    if (hasTotals) {
+        writeVarint(out, data.totalFrames);
+        writeVarint(out, data.finalScore);
+        writeVarint(out, data.finalLines);
+    }
+    if (hasBoardHash) {
+        hexToBytes(data.finalBoardHash).forEach(byte => out.push(byte));
+    }
+};
+
+const readHeader = (reader) => {
+    const header = {
+        seed: reader.varint(),
+        mode: decoder.decode(reader.chunk()) || undefined,
+        options: {},
+        tickRate: REPLAY_TICK_RATE
+    };
+
+    const previewCount = reader.byte();
+    if (previewCount > 0) header.options.previewCount = previewCount;
+
+    const claims = reader.byte();
+    if (claims & HAS_TOTALS) {
+        header.totalFrames = reader.varint();
+        header.finalScore = reader.varint();
+        header.finalLines = reader.varint();
+    }
+    if (claims & HAS_BOARD_HASH) {
+        header.finalBoardHash = bytesToHex(reader.fixed(BOARD_HASH_BYTES));
+    }
+
+    return header;
+};
+
+/**
+ * Encode replay data (raw replayData) to bytes
+ */
+export const encodeReplay = (data) => {
+    const out = [...MAGIC, FORMAT_VERSION];
+    writeHeader(out, data);
+
+    writeVarint(out, data.inputs.length);
+    data.inputs.reduce((previousFrame, input) => {
+        writeInput(out, input, previousFrame);
+        return input.frame;
+    }, 0);
+
+    const crc = crc32(out);
+    out.push(crc >>> 24, (crc >>> 16) & 0xFF, (crc >>> 8) & 0xFF, crc & 0xFF);
+
+    return Uint8Array.from(out);
+};
+
+/**
+ * Does this look like an encoded replay?
+ */
+export const isEncodedReplay = (bytes) =>
+    bytes.length > MAGIC.length && MAGIC.every((byte, i) => bytes[i] === byte);
+
+/**
+ * Decode bytes back to replay data - throws on a bad magic, version or checksum
+ */
+export const decodeReplay = (bytes) => {
+    if (!isEncodedReplay(bytes)) {
+        throw new Error('Invalid replay: not a NEON DROP replay file');
+    }
+    if (bytes.length < MAGIC.length + 5) {
+        throw new Error('Invalid replay: unexpected end of data');
+    }
+
+    const body = bytes.subarray(0, bytes.length - 4);
+    const tail = bytes.subarray(bytes.length - 4);
+    const claimed = ((tail[0] << 24) | (tail[1] << 16) | (tail[2] << 8) | tail[3]) >>> 0;
+    if (crc32(body) !== claimed) {
+        throw new Error('Invalid replay: checksum mismatch');
+    }
+
+    const reader = createReader(body);
+    reader.byte();
+    reader.byte();
+
+    const version = reader.byte();
+    if (version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported replay format version: ${version}`);
+    }
+
+    const header = readHeader(reader);
+
+    const count = reader.varint();
+    const inputs = [];
+    let frame = 0;
+    for (let i = 0; i < count; i++) {
+        frame += reader.varint();
+        inputs.push({ frame, action: readAction(reader), timestamp: frame * REPLAY_TICK_RATE });
+    }
+
+    if (reader.offset() !== body.length) {
+        throw new Error('Invalid replay: trailing data');
+    }
+
+    return { ...header, inputs };
+};
+
+/**
+ * base64url (no padding) - safe in URLs and file names
+ */
+export const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const encodeReplayString = (data) => toBase64Url(encodeReplay(data));
+
+export const decodeReplayString = (text) => decodeReplay(fromBase64Url(text.trim()));
+
+/**
+ * Read a dropped or downloaded replay: binary, base64url text or JSON
+ * Returns raw replay data
+ */
+export const importReplay = (bytes) => {
+    if (isEncodedReplay(bytes)) return unwrapReplay(decodeReplay(bytes));
+
+    const text = decoder.decode(bytes).trim();
+    return unwrapReplay(text.startsWith('{') ? JSON.parse(text) : decodeReplayString(text));
+};
\ No newline at end of file
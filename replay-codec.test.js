@@ -0,0 +1,168 @@
+/**
+ * replay-codec.test.js - Round trips against recorded games
+ *
+ * Records games headlessly (the bot finishing a sprint, scripted inputs
+ * topping out, a game cut off mid-run) and checks the compact format:
+ * encode -> decode keeps everything re-simulation needs, share links
+ * round-trip, damaged bytes fail the checksum, and decoded replays still
+ * pass the verifier.
+ *
+ * Run with: node --test replay-codec.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createInitialState, GAME_MODES } from './game-state.js';
+import * as Engine from './game-engine.js';
+import { playGame } from './bot.js';
+import { REPLAY_TICK_RATE } from './scoring-engine.js';
+import { playReplay } from './replay-player.js';
+import { verifyReplay } from './replay-verifier.js';
+import {
+    encodeReplay,
+    decodeReplay,
+    encodeReplayString,
+    decodeReplayString,
+    toBase64Url,
+    fromBase64Url,
+    importReplay
+} from './replay-codec.js';
+
+const SCRIPT = [
+    { type: 'MOVE', dx: -1, dy: 0 },
+    { type: 'ROTATE', direction: 1 },
+    { type: 'MOVE', dx: 1, dy: 0, repeat: true },
+    { type: 'HOLD' },
+    { type: 'ROTATE_180' },
+    { type: 'MOVE', dx: 0, dy: 1 },
+    { type: 'HARD_DROP' }
+];
+
+// Scripted inputs every few frames until the game ends or maxFrames pass
+const playScripted = (mode, seed, maxFrames) => {
+    let state = Engine.startGame(createInitialState(mode), seed);
+
+    for (let i = 0; state.phase !== 'GAME_OVER' && state.frame < maxFrames; i++) {
+        if (i % 4 === 0 && state.current) {
+            const action = SCRIPT[(i / 4) % SCRIPT.length];
+            state.scoringEngine.recordInput(action, state.frame);
+            state = Engine.handleInput(state, action);
+        }
+        state = Engine.tick(state, REPLAY_TICK_RATE);
+    }
+
+    return state;
+};
+
+const recordedGames = async () => {
+    const games = {
+        botSprint: playGame(GAME_MODES.sprint, 11, { maxPieces: 300 }).state,
+        scriptedTopOut: playScripted(GAME_MODES.neonDrop, 42, 60000),
+        unfinished: playScripted(GAME_MODES.neonDrop, 7, 120)
+    };
+
+    const replays = {};
+    for (const [name, state] of Object.entries(games)) {
+        replays[name] = (await state.scoringEngine.exportReplay()).replay;
+    }
+    return replays;
+};
+
+const replaysPromise = recordedGames();
+
+// What the compact format promises to keep - final claims only exist once a game ends
+const essentials = (data) => ({
+    seed: data.seed,
+    mode: data.mode,
+    previewCount: data.options && data.options.previewCount,
+    claims: data.totalFrames === undefined ? null : {
+        totalFrames: data.totalFrames,
+        finalScore: data.finalScore,
+        finalLines: data.finalLines,
+        finalBoardHash: data.finalBoardHash
+    },
+    inputs: data.inputs.map(({ frame, action }) => ({ frame, action }))
+});
+
+test('recorded games cover finished and unfinished runs', async () => {
+    const { botSprint, scriptedTopOut, unfinished } = await replaysPromise;
+
+    assert.equal(botSprint.totalFrames > 0, true);
+    assert.equal(botSprint.finalLines >= 40, true);
+    assert.equal(scriptedTopOut.totalFrames > 0, true);
+    assert.equal(unfinished.totalFrames, undefined);
+});
+
+test('encode -> decode keeps everything re-simulation needs', async () => {
+    for (const data of Object.values(await replaysPromise)) {
+        const decoded = decodeReplay(encodeReplay(data));
+
+        assert.deepEqual(essentials(decoded), essentials(data));
+        decoded.inputs.forEach((input, i) => assert.equal(input.timestamp, data.inputs[i].frame * REPLAY_TICK_RATE));
+    }
+});
+
+test('decoded replays re-simulate to the same result', async () => {
+    for (const data of Object.values(await replaysPromise)) {
+        const original = playReplay(data);
+        const decoded = playReplay(decodeReplay(encodeReplay(data)));
+
+        assert.equal(decoded.score, original.score);
+        assert.equal(decoded.lines, original.lines);
+        assert.equal(decoded.frames, original.frames);
+        assert.deepEqual(decoded.board, original.board);
+    }
+});
+
+test('the encoding is much smaller than the JSON replay', async () => {
+    for (const data of Object.values(await replaysPromise)) {
+        assert.equal(encodeReplay(data).length * 4 < JSON.stringify(data).length, true);
+    }
+});
+
+test('base64url share links round-trip', async () => {
+    for (const data of Object.values(await replaysPromise)) {
+        const bytes = encodeReplay(data);
+        const link = encodeReplayString(data);
+
+        assert.match(link, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(fromBase64Url(toBase64Url(bytes)), bytes);
+        assert.deepEqual(essentials(decodeReplayString(`${link}\n`)), essentials(data));
+        assert.deepEqual(essentials(importReplay(new TextEncoder().encode(link))), essentials(data));
+        assert.deepEqual(essentials(importReplay(bytes)), essentials(data));
+    }
+});
+
+test('a flipped byte fails the checksum', async () => {
+    const bytes = encodeReplay((await replaysPromise).scriptedTopOut);
+
+    [3, Math.floor(bytes.length / 2), bytes.length - 1].forEach(index => {
+        const damaged = bytes.slice();
+        damaged[index] ^= 0x01;
+        assert.throws(() => decodeReplay(damaged), /checksum mismatch/);
+    });
+});
+
+test('truncated data and unknown versions are rejected', async () => {
+    const bytes = encodeReplay((await replaysPromise).scriptedTopOut);
+
+    assert.throws(() => decodeReplay(bytes.slice(0, 4)), /Invalid replay/);
+    assert.throws(() => decodeReplay(Uint8Array.from([0x4E, 0x44, 99, 0, 0, 0, 0, 0])), /Invalid replay|Unsupported/);
+});
+
+test('decoded finished replays still verify', async () => {
+    const { botSprint, scriptedTopOut } = await replaysPromise;
+
+    for (const data of [botSprint, scriptedTopOut]) {
+        const result = await verifyReplay(decodeReplay(encodeReplay(data)));
+        assert.equal(result.verdict, 'ACCEPT', result.reasons.join('; '));
+    }
+});
+
+test('a decoded replay with a forged score is rejected', async () => {
+    const decoded = decodeReplay(encodeReplay((await replaysPromise).scriptedTopOut));
+    const result = await verifyReplay({ ...decoded, finalScore: decoded.finalScore + 1000 });
+
+    assert.equal(result.verdict, 'REJECT');
+});
\ No newline at end of file
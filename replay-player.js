@@ -0,0 +1,141 @@
+/**
+ * replay-player.js - Deterministic headless replay playback
+ *
+ * Feeds a recorded replay back through the pure engine:
+ * - Starts the game from the recorded seed and mode
+ * - Applies recorded inputs on the exact frame they happened
+ * - Advances the simulation with the recorded fixed timestep
+ *
+ * Has no DOM dependencies so it runs in Node for bug reproduction
+ * and offline verification of tournament submissions.
+ */
+
+import { createInitialState, GAME_MODES } from './game-state.js';
+import * as Engine from './game-engine.js';
+import { REPLAY_TICK_RATE } from './scoring-engine.js';
+
+/**
+ * Accept either exportReplay() output or raw replayData
+ */
+export const unwrapReplay = (replay) => {
+    const data = replay && replay.replay ? replay.replay : replay;
+
+    if (!data || data.seed === undefined || !Array.isArray(data.inputs)) {
+        throw new Error('Invalid replay: missing seed or inputs');
+    }
+
+    return data;
+};
+
+/**
+ * Find the mode config a replay was recorded with
+ */
+export const findReplayMode = (modeName) => {
+    const mode = Object.values(GAME_MODES).find(m => m.name === modeName);
+    if (modeName && !mode) {
+        throw new Error(`Unknown replay mode: ${modeName}`);
+    }
+    return mode || GAME_MODES.neonDrop;
+};
+
+/**
+ * Game options a replay may carry - only known keys, clamped to valid ranges
+ * Replays are untrusted input, so nothing else reaches the engine state
+ */
+export const replayOptions = (options) => {
+    const safe = {};
+    if (!options || typeof options !== 'object') return safe;
+
+    if (Number.isInteger(options.previewCount)) {
+        safe.previewCount = Math.max(Engine.MIN_PREVIEW, Math.min(Engine.MAX_PREVIEW, options.previewCount));
+    }
+
+    return safe;
+};
+
+/**
+ * Create a player positioned at frame 0 - pure function
+ */
+export const createReplayPlayer = (replay) => {
+    const data = unwrapReplay(replay);
+    const mode = findReplayMode(data.mode);
+    const initial = {
+        ...createInitialState(mode),
+        ...replayOptions(data.options),
+        mode
+    };
+
+    return {
+        replay: data,
+        state: Engine.startGame(initial, data.seed),
+        inputIndex: 0,
+        tickRate: data.tickRate || REPLAY_TICK_RATE
+    };
+};
+
+/**
+ * Check whether playback has consumed the whole recording
+ */
+export const isReplayFinished = (player) => {
+    if (player.state.phase === 'GAME_OVER') return true;
+
+    const { totalFrames, inputs } = player.replay;
+    if (totalFrames !== undefined) {
+        return player.state.frame >= totalFrames && player.inputIndex >= inputs.length;
+    }
+
+    return player.inputIndex >= inputs.length;
+};
+
+/**
+ * Apply every input recorded for the current frame
+ */
+const applyFrameInputs = (player) => {
+    const { inputs } = player.replay;
+    let { state, inputIndex } = player;
+
+    while (inputIndex < inputs.length && inputs[inputIndex].frame <= state.frame) {
+        state = Engine.handleInput(state, inputs[inputIndex].action);
+        inputIndex++;
+    }
+
+    return { ...player, state, inputIndex };
+};
+
+/**
+ * Advance playback by one frame: inputs first, then one fixed tick
+ */
+export const stepReplay = (player) => {
+    if (isReplayFinished(player)) return player;
+
+    const afterInputs = applyFrameInputs(player);
+    if (isReplayFinished(afterInputs)) return afterInputs;
+
+    return {
+        ...afterInputs,
+        state: Engine.tick(afterInputs.state, afterInputs.tickRate)
+    };
+};
+
+/**
+ * Play a replay to completion and report the outcome
+ */
+export const playReplay = (replay, { maxFrames = Infinity } = {}) => {
+    let player = createReplayPlayer(replay);
+
+    while (!isReplayFinished(player) && player.state.frame < maxFrames) {
+        player = stepReplay(player);
+    }
+
+    const { state } = player;
+
+    return {
+        state,
+        board: state.board,
+        score: state.score,
+        lines: state.lines,
+        level: state.level,
+        frames: state.frame,
+        finished: isReplayFinished(player)
+    };
+};
\ No newline at end of file
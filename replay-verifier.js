@@ -0,0 +1,126 @@
+/**
+ * replay-verifier.js - Trusted re-simulation of submitted replays
+ *
+ * Re-runs a replay from its seed and inputs with the pure engine and
+ * compares the result with what the submission claims:
+ * - Per-lock state snapshots (frame, score, lines, back-to-back, board hash)
+ * - Final score, lines and board hash
+ *
+ * The verdict names the first frame where the claim and the
+ * re-simulation disagree, so disputes can be inspected in a viewer.
+ */
+
+import { createReplayPlayer, stepReplay, isReplayFinished, unwrapReplay } from './replay-player.js';
+import { hashBoard } from './scoring-engine.js';
+import { verifyReplaySignature } from './crypto-utils.js';
+
+// Hard cap so a forged totalFrames can't keep the verifier busy forever
+const MAX_VERIFY_FRAMES = 60 * 60 * 60; // One hour at 60 FPS
+
+const SNAPSHOT_FIELDS = ['score', 'lines', 'backToBack', 'boardHash'];
+
+/**
+ * Compare claimed snapshots to re-simulated ones - pure function
+ * Returns the first mismatch or null
+ */
+export const findSnapshotDivergence = (claimed, actual) => {
+    const count = Math.max(claimed.length, actual.length);
+
+    for (let i = 0; i < count; i++) {
+        const c = claimed[i];
+        const a = actual[i];
+
+        if (!c || !a) {
+            return {
+                frame: (c || a).frame,
+                field: 'snapshot',
+                claimed: c || null,
+                actual: a || null
+            };
+        }
+
+        if (c.frame !== a.frame) {
+            return { frame: Math.min(c.frame, a.frame), field: 'frame', claimed: c.frame, actual: a.frame };
+        }
+
+        const field = SNAPSHOT_FIELDS.find(key => c[key] !== a[key]);
+        if (field) {
+            return { frame: a.frame, field, claimed: c[field], actual: a[field] };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Re-simulate a replay and return a verdict
+ * Options: { hmacKey } - when set, an invalid signature rejects immediately
+ */
+export const verifyReplay = async (submission, { hmacKey = null, maxFrames = MAX_VERIFY_FRAMES } = {}) => {
+    const reasons = [];
+
+    if (hmacKey && !(await verifyReplaySignature(submission, hmacKey))) {
+        return { verdict: 'REJECT', reasons: ['Invalid signature'], divergentFrame: null };
+    }
+
+    let data;
+    let player;
+    try {
+        data = unwrapReplay(submission);
+        player = createReplayPlayer(data);
+    } catch (e) {
+        return { verdict: 'REJECT', reasons: [e.message], divergentFrame: null };
+    }
+
+    while (!isReplayFinished(player) && player.state.frame < maxFrames) {
+        player = stepReplay(player);
+    }
+
+    const { state } = player;
+    const engine = state.scoringEngine;
+    await engine.flush();
+
+    if (!isReplayFinished(player)) {
+        reasons.push(`Replay exceeds ${maxFrames} frames`);
+    }
+
+    const actual = {
+        score: state.score,
+        lines: state.lines,
+        frames: state.frame,
+        boardHash: await hashBoard(state.board)
+    };
+
+    const claimed = {
+        score: data.finalScore,
+        lines: data.finalLines,
+        frames: data.totalFrames,
+        boardHash: data.finalBoardHash
+    };
+
+    // Compact replays (replay-codec.js) carry no snapshots - only the final claim is checked
+    const divergence = data.stateSnapshots
+        ? findSnapshotDivergence(data.stateSnapshots, engine.replayData.stateSnapshots)
+        : null;
+
+    if (divergence) {
+        reasons.push(`Snapshot ${divergence.field} diverges at frame ${divergence.frame}`);
+    }
+
+    Object.keys(actual).forEach(key => {
+        if (claimed[key] !== actual[key]) {
+            reasons.push(`Final ${key} mismatch: claimed ${claimed[key]}, actual ${actual[key]}`);
+        }
+    });
+
+    return {
+        verdict: reasons.length === 0 ? 'ACCEPT' : 'REJECT',
+        reasons,
+        divergentFrame: divergence ? divergence.frame : (reasons.length > 0 ? actual.frames : null),
+        divergence,
+        claimed,
+        actual,
+        seed: data.seed,
+        mode: data.mode
+    };
+};
\ No newline at end of file
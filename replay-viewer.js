@@ -0,0 +1,196 @@
+/**
+ * replay-viewer.js - Watch a replay with pause, speed, stepping and seeking
+ *
+ * Wraps a replay player with playback controls:
+ * - Speed from 0.25x to 8x, scaled against the recorded tick rate
+ * - Pause and single-frame steps in both directions
+ * - Seeking through keyframes: full state snapshots taken every
+ *   KEYFRAME_INTERVAL frames as playback first reaches them, so a seek
+ *   re-simulates at most one interval
+ *
+ * Pure functions - the viewer is replaced, never mutated.
+ */
+
+import { createStateSnapshot, restoreStateSnapshot } from './game-state.js';
+import { createReplayPlayer, stepReplay, isReplayFinished } from './replay-player.js';
+
+export const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+export const KEYFRAME_INTERVAL = 300; // 5 seconds at 60 FPS
+
+// Inputs stay lit on the overlay this long after they happened
+export const INPUT_GLOW_FRAMES = 10;
+
+// Overlay key for each recorded action
+const inputLabel = (action) => {
+    switch (action.type) {
+        case 'MOVE':
+            if (action.dy > 0) return 'DOWN';
+            return action.dx < 0 ? 'LEFT' : 'RIGHT';
+        case 'ROTATE':
+            return action.direction < 0 ? 'CCW' : 'CW';
+        case 'UP_PRESSED':
+            return 'CW';
+        case 'ROTATE_180':
+            return '180';
+        case 'HARD_DROP':
+            return 'DROP';
+        case 'HOLD':
+            return 'HOLD';
+        default:
+            return null;
+    }
+};
+
+export const INPUT_LABELS = ['LEFT', 'DOWN', 'RIGHT', 'CCW', 'CW', '180', 'DROP', 'HOLD'];
+
+const createKeyframe = (player) => ({
+    frame: player.state.frame,
+    inputIndex: player.inputIndex,
+    snapshot: createStateSnapshot(player.state)
+});
+
+const restoreKeyframe = (player, keyframe) => ({
+    ...player,
+    state: restoreStateSnapshot(keyframe.snapshot),
+    inputIndex: keyframe.inputIndex
+});
+
+/**
+ * Create a paused viewer at frame 0
+ */
+export const createViewer = (replay) => {
+    const player = createReplayPlayer(replay);
+
+    return {
+        player,
+        keyframes: [createKeyframe(player)],
+        speed: 1,
+        paused: true,
+        accumulator: 0
+    };
+};
+
+// Unfinished recordings have no totalFrames - they end with their last input
+export const getTotalFrames = (viewer) => {
+    const { totalFrames, inputs } = viewer.player.replay;
+    return totalFrames ?? (inputs.length > 0 ? inputs[inputs.length - 1].frame : 0);
+};
+
+export const isViewerAtEnd = (viewer) => isReplayFinished(viewer.player);
+
+/**
+ * One frame forward, keyframing frames seen for the first time
+ */
+const stepForward = (viewer) => {
+    if (isReplayFinished(viewer.player)) return viewer;
+
+    const player = stepReplay(viewer.player);
+    const { frame } = player.state;
+    const lastKeyframe = viewer.keyframes[viewer.keyframes.length - 1];
+
+    const keyframes = frame % KEYFRAME_INTERVAL === 0 && frame > lastKeyframe.frame
+        ? [...viewer.keyframes, createKeyframe(player)]
+        : viewer.keyframes;
+
+    return { ...viewer, player, keyframes };
+};
+
+/**
+ * Jump to a frame - restores the nearest keyframe before it and plays forward
+ */
+export const seekViewer = (viewer, frame) => {
+    const target = Math.max(0, Math.min(frame, getTotalFrames(viewer)));
+    const current = viewer.player.state.frame;
+
+    let next = { ...viewer, accumulator: 0 };
+
+    // Forward seeks within reach just keep playing; others restart from a keyframe
+    const keyframe = [...viewer.keyframes].reverse().find(k => k.frame <= target);
+    if (target < current || keyframe.frame > current) {
+        next = { ...next, player: restoreKeyframe(viewer.player, keyframe) };
+    }
+
+    // Inputs on the last frame (e.g. the final hard drop) still have to be applied
+    const toEnd = target === getTotalFrames(viewer);
+    while ((next.player.state.frame < target || toEnd) && !isReplayFinished(next.player)) {
+        next = stepForward(next);
+    }
+
+    return next;
+};
+
+/**
+ * Single-frame step in either direction - pauses playback
+ */
+export const stepViewer = (viewer, frames = 1) =>
+    ({ ...seekViewer(viewer, viewer.player.state.frame + frames), paused: true });
+
+/**
+ * Play/pause - playing from the end starts over
+ */
+export const togglePause = (viewer) => {
+    if (viewer.paused && isViewerAtEnd(viewer)) {
+        return { ...seekViewer(viewer, 0), paused: false };
+    }
+    return { ...viewer, paused: !viewer.paused, accumulator: 0 };
+};
+
+/**
+ * Move along the speed list, clamped at either end
+ */
+export const changeSpeed = (viewer, step) => {
+    const index = SPEEDS.indexOf(viewer.speed);
+    const next = Math.max(0, Math.min(SPEEDS.length - 1, index + step));
+    return { ...viewer, speed: SPEEDS[next] };
+};
+
+/**
+ * Advance playback by real elapsed time
+ */
+export const advanceViewer = (viewer, deltaTime) => {
+    if (viewer.paused) return viewer;
+
+    const { tickRate } = viewer.player;
+    let next = { ...viewer, accumulator: viewer.accumulator + deltaTime * viewer.speed };
+
+    while (next.accumulator >= tickRate && !isReplayFinished(next.player)) {
+        next = { ...stepForward(next), accumulator: next.accumulator - tickRate };
+    }
+
+    // Stop at the end instead of spinning on a finished player
+    return isReplayFinished(next.player) ? { ...next, paused: true, accumulator: 0 } : next;
+};
+
+/**
+ * Overlay keys pressed in the last few frames - label -> frames since press
+ */
+export const recentInputs = (viewer) => {
+    const { replay, inputIndex, state } = viewer.player;
+    const recent = {};
+
+    for (let i = inputIndex - 1; i >= 0; i--) {
+        const input = replay.inputs[i];
+        const age = state.frame - input.frame;
+        if (age >= INPUT_GLOW_FRAMES) break;
+
+        const label = inputLabel(input.action);
+        if (label && recent[label] === undefined) {
+            recent[label] = age;
+        }
+    }
+
+    return recent;
+};
+
+/**
+ * Everything the renderer shows on top of the board
+ */
+export const viewerInfo = (viewer) => ({
+    frame: viewer.player.state.frame,
+    totalFrames: getTotalFrames(viewer),
+    tickRate: viewer.player.tickRate,
+    speed: viewer.speed,
+    paused: viewer.paused,
+    inputs: recentInputs(viewer)
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * rotation-systems.js - Named rotation systems and their kick tables
+ *
+ * Systems:
+ * - SRS       Guideline Super Rotation System (180 turns allowed, no 180 kicks)
+ * - SRS_PLUS  SRS plus 180-degree kicks
+ * - ARS       Arika style: one column right, then left; I never kicks
+ * - NONE      Base rotation only
+ *
+ * Tables are written in the usual SRS notation (+y is UP) and converted
+ * to board coordinates (+y is DOWN) when looked up.
+ */
+
+// Standard SRS kicks for J, L, S, T, Z (test 1 is the unkicked rotation)
+const JLSTZ_KICKS = {
+    '0->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1->0': [[1, 0], [1, -1], [0, 2], [1, 2]],
+    '1->2': [[1, 0], [1, -1], [0, 2], [1, 2]],
+    '2->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2->3': [[1, 0], [1, 1], [0, -2], [1, -2]],
+    '3->2': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3->0': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0->3': [[1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+// Standard SRS kicks for I
+const I_KICKS = {
+    '0->1': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1->0': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1->2': [[-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2->1': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2->3': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3->2': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3->0': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0->3': [[-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// U (7 cells) and DOT (6 cells) reach every row and column of their 3x3
+// box in every orientation, so a turn never frees a row or column to slide
+// into the way the JLSTZ tests assume for two-row pieces. They're only
+// nudged one column sideways or lifted one row
+const BOX_KICKS = {
+    '0->1': [[-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1]],
+    '1->2': [[-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1]],
+    '2->3': [[-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1]],
+    '3->0': [[-1, 0], [1, 0], [0, 1], [-1, 1], [1, 1]],
+    '1->0': [[1, 0], [-1, 0], [0, 1], [1, 1], [-1, 1]],
+    '2->1': [[1, 0], [-1, 0], [0, 1], [1, 1], [-1, 1]],
+    '3->2': [[1, 0], [-1, 0], [0, 1], [1, 1], [-1, 1]],
+    '0->3': [[1, 0], [-1, 0], [0, 1], [1, 1], [-1, 1]]
+};
+
+// SRS+ 180-degree kicks (shared by every kicking piece)
+const KICKS_180 = {
+    '0->2': [[0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '1->3': [[1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '2->0': [[0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '3->1': [[-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+// Arika style: try one column right, then one left
+const ARS_KICKS = [[1, 0], [-1, 0]];
+
+const NO_KICKS = {};
+
+// PLUS, O and FLOAT look the same in every orientation - nothing to kick
+export const SYMMETRIC_PIECES = ['O', 'PLUS', 'FLOAT'];
+
+/**
+ * Per-piece kick tables for each system
+ */
+export const ROTATION_SYSTEMS = {
+    SRS: {
+        name: 'SRS',
+        tables: (type) => {
+            if (SYMMETRIC_PIECES.includes(type)) return NO_KICKS;
+            if (type === 'I') return I_KICKS;
+            if (type === 'U' || type === 'DOT') return BOX_KICKS;
+            return JLSTZ_KICKS;
+        }
+    },
+    SRS_PLUS: {
+        name: 'SRS+',
+        tables: (type) => {
+            if (SYMMETRIC_PIECES.includes(type)) return NO_KICKS;
+            return { ...ROTATION_SYSTEMS.SRS.tables(type), ...KICKS_180 };
+        }
+    },
+    ARS: {
+        name: 'ARS',
+        tables: (type) => {
+            if (SYMMETRIC_PIECES.includes(type) || type === 'I') return NO_KICKS;
+            return null; // Same kicks for every transition
+        },
+        uniformKicks: ARS_KICKS
+    },
+    NONE: {
+        name: 'NONE',
+        tables: () => NO_KICKS
+    }
+};
+
+export const ROTATION_SYSTEM_NAMES = Object.keys(ROTATION_SYSTEMS);
+
+/**
+ * Kick offsets to try after the unkicked rotation, in board coordinates
+ * Direction: 1 = clockwise, -1 = counter-clockwise, 2 = 180 degrees
+ */
+export const getKicks = (systemName, piece, direction) => {
+    const system = ROTATION_SYSTEMS[systemName];
+    if (!system) {
+        throw new Error(`Unknown rotation system: ${systemName}`);
+    }
+
+    const fromRot = piece.rotation;
+    const toRot = (piece.rotation + direction + 4) % 4;
+    const table = system.tables(piece.type);
+    const kicks = table ? (table[`${fromRot}->${toRot}`] || []) : system.uniformKicks;
+
+    // Flip y: tables use +y up, the board uses +y down
+    return kicks.map(([x, y]) => ({ x, y: -y }));
+};
\ No newline at end of file
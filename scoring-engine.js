@@ -5,11 +5,16 @@
  * - Comprehensive score tracking with validation
  * - Special move detection and scoring
  * - Replay system with frame-perfect timing
- * - Anti-cheat measures with cryptographic validation
+ * - Anti-cheat measures with cryptographic validation (SHA-256 hash chain)
  * - Tournament statistics tracking
+ * 
+ * Hashing is async (Web Crypto), so ledger hashes and snapshot board
+ * hashes resolve in order in the background; await flush() before reading them.
  */
 
 import * as crypto from './crypto-utils.js';
+import { SPIN_TYPES } from './spin-detector.js';
+import { encodeReplayString } from './replay-codec.js';
 
 // Score event types for ledger
 const SCORE_EVENTS = {
@@ -23,23 +28,49 @@ const SCORE_EVENTS = {
     LEVEL_BONUS: 'LEVEL_BONUS'
 };
 
-// Spin detection patterns for T-shaped piece
-const SPIN_CORNERS = [
-    { dx: -1, dy: -1 }, // Top-left
-    { dx: 1, dy: -1 },  // Top-right
-    { dx: -1, dy: 1 },  // Bottom-left
-    { dx: 1, dy: 1 }    // Bottom-right
-];
+// Fixed simulation step used by the game loop and replay player
+export const REPLAY_TICK_RATE = 1000 / 60;
+
+/**
+ * Quads and spins that clear lines keep a back-to-back chain going
+ */
+export const isDifficultClear = (linesCleared, spin = null) =>
+    linesCleared >= 4 || (Boolean(spin) && linesCleared > 0);
+
+/**
+ * Next back-to-back counter after a clear - pure function
+ * Difficult clears extend the chain, ordinary clears break it,
+ * and locks that clear nothing leave it alone
+ */
+export const nextBackToBack = (counter, linesCleared, spin = null) => {
+    if (linesCleared === 0) return counter;
+    return isDifficultClear(linesCleared, spin) ? counter + 1 : 0;
+};
+
+/**
+ * SHA-256 of a board's cell layout - shared by engine instances and verifiers
+ */
+export const hashBoard = async (board) => {
+    if (!board) return '0';
+    const data = board.map(row => row.map(cell => cell || '0').join('')).join('|');
+    return crypto.sha256(data);
+};
+
+// Hashing failures are reported once per page, not once per engine
+let hashWarningShown = false;
+
+// Spin base scores indexed by lines cleared (0 = spin without a clear)
+const SPIN_SCORES = {
+    [SPIN_TYPES.T_SPIN]: [400, 800, 1200, 1600],
+    [SPIN_TYPES.T_SPIN_MINI]: [100, 200, 400],
+    [SPIN_TYPES.SPIN]: [100, 200, 400, 800]
+};
 
 export class ScoringEngine {
     constructor() {
         // Score ledger for validation
         this.scoreLedger = [];
         
-        // High score tracking
-        this.highScore = parseInt(localStorage.getItem('neonDropHighScore') || '0');
-        this.isNewHighScore = false;
-        
         // Replay data
         this.replayData = {
             version: '1.0.0',
@@ -65,17 +96,78 @@ export class ScoringEngine {
         
         // Frame counter for deterministic replay
         this.frameCount = 0;
+        
+        // Pending async hash work
+        this.resetHashQueue();
+    }
+    
+    /**
+     * Reset the ordered hash chain and pending snapshot hashes
+     */
+    resetHashQueue() {
+        this.ledgerChain = Promise.resolve('0');
+        this.pendingHashes = [];
+        this.finalization = null;
+        this.hashError = null;
+    }
+    
+    /**
+     * Remember the first hashing failure (no Web Crypto on insecure origins)
+     * - the game goes on, its replay is just left unsealed
+     */
+    recordHashError(error) {
+        if (!this.hashError) {
+            this.hashError = error;
+            
+            // Missing Web Crypto fails every game the same way - say so once
+            if (!hashWarningShown) {
+                hashWarningShown = true;
+                console.warn('Replays will not be sealed:', error.message);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Independent copy for state snapshots - later events on either
+     * copy don't reach the other
+     */
+    clone() {
+        const copy = new ScoringEngine();
+        copy.scoreLedger = [...this.scoreLedger];
+        copy.replayData = {
+            ...this.replayData,
+            inputs: [...this.replayData.inputs],
+            stateSnapshots: [...this.replayData.stateSnapshots]
+        };
+        copy.stats = { ...this.stats };
+        copy.frameCount = this.frameCount;
+        copy.ledgerChain = this.ledgerChain;
+        copy.pendingHashes = [...this.pendingHashes];
+        copy.finalization = this.finalization;
+        copy.hashError = this.hashError;
+        return copy;
+    }
+    
+    /**
+     * Wait for all queued ledger and snapshot hashes
+     */
+    async flush() {
+        await this.ledgerChain;
+        await Promise.all(this.pendingHashes);
     }
     
     /**
      * Initialize scoring for a new game
      */
-    initializeGame(seed, mode) {
+    initializeGame(seed, mode, options = {}) {
         this.scoreLedger = [];
         this.replayData = {
             version: '1.0.0',
             seed: seed,
             mode: mode,
+            options: options,
+            tickRate: REPLAY_TICK_RATE,
             startTime: Date.now(),
             inputs: [],
             stateSnapshots: [],
@@ -94,24 +186,27 @@ export class ScoringEngine {
             efficiency: 0
         };
         this.frameCount = 0;
+        this.resetHashQueue();
         
         // Add initial state snapshot
         this.addStateSnapshot({
             frame: 0,
             score: 0,
             level: 1,
-            lines: 0
+            lines: 0,
+            backToBackCounter: 0
         });
     }
     
     /**
      * Record an input for replay system
+     * Frame is the number of simulation ticks completed before the input
      */
     recordInput(action, frame) {
         this.replayData.inputs.push({
-            frame: frame || this.frameCount,
-            action: action,
-            timestamp: Date.now() - this.replayData.startTime
+            frame: frame ?? this.frameCount,
+            action: { ...action },
+            timestamp: this.getSimulatedTime()
         });
     }
     
@@ -124,11 +219,17 @@ export class ScoringEngine {
             score: state.score,
             level: state.level,
             lines: state.lines,
-            boardHash: this.hashBoard(state.board),
-            timestamp: Date.now() - this.replayData.startTime
+            backToBack: state.backToBackCounter || 0,
+            boardHash: null,
+            timestamp: this.getSimulatedTime()
         };
         
         this.replayData.stateSnapshots.push(snapshot);
+        this.pendingHashes.push(
+            this.hashBoard(state.board)
+                .then(hash => { snapshot.boardHash = hash; })
+                .catch(error => { this.recordHashError(error); })
+        );
     }
     
     /**
@@ -151,19 +252,23 @@ export class ScoringEngine {
     
     /**
      * Calculate score for line clears with all bonuses
+     * spin comes from detectSpin at lock time (null for a plain clear);
+     * a spin with no lines cleared is scored on its own
      */
-    scoreLineClears(state, linesCleared, lastMove) {
+    scoreLineClears(state, linesCleared, spin = null) {
         let score = 0;
         const level = state.level;
+        const hasSpinBonus = Boolean(spin);
         
-        // Detect spin bonus
-        const hasSpinBonus = this.detectSpinBonus(state, lastMove);
+        if (hasSpinBonus && linesCleared === 0) {
+            return this.scoreSpin(spin, level);
+        }
         
         // Base line clear score
         let baseScore = 0;
         if (hasSpinBonus) {
             // Spin bonus scoring
-            baseScore = [400, 800, 1200, 1600][Math.min(linesCleared - 1, 3)];
+            baseScore = this.spinBaseScore(spin, linesCleared);
             this.stats.spinBonuses++;
         } else {
             // Normal line clear
@@ -173,7 +278,8 @@ export class ScoringEngine {
         score += baseScore * level;
         
         // Back-to-back bonus (for quad clears or spins)
-        const isDifficult = linesCleared === 4 || hasSpinBonus;
+        // state.backToBackCounter counts the difficult clears before this one
+        const isDifficult = isDifficultClear(linesCleared, spin);
         if (isDifficult && state.backToBackCounter > 0) {
             const b2bBonus = Math.floor(baseScore * 0.5) * level;
             score += b2bBonus;
@@ -204,6 +310,8 @@ export class ScoringEngine {
         this.addScoreEvent(SCORE_EVENTS.LINE_CLEAR, baseScore * level, {
             lines: linesCleared,
             spinBonus: hasSpinBonus,
+            spin: spin ? spin.type : null,
+            piece: spin ? spin.pieceType : null,
             level: level
         });
         
@@ -214,31 +322,25 @@ export class ScoringEngine {
     }
     
     /**
-     * Detect spin bonus for T-shaped piece
+     * Base score for a spin clearing the given number of lines
      */
-    detectSpinBonus(state, lastMove) {
-        if (!state.current || state.current.type !== 'T') return false;
-        if (!lastMove || lastMove.type !== 'ROTATE') return false;
-        
-        // Count filled corners
-        let filledCorners = 0;
-        const centerX = state.current.gridX + 1;
-        const centerY = state.current.gridY + 1;
-        
-        SPIN_CORNERS.forEach(corner => {
-            const x = centerX + corner.dx;
-            const y = centerY + corner.dy;
-            
-            // Check bounds
-            if (x < 0 || x >= 10 || y >= 20) {
-                filledCorners++;
-            } else if (y >= 0 && state.board[y][x]) {
-                filledCorners++;
-            }
+    spinBaseScore(spin, linesCleared) {
+        const table = SPIN_SCORES[spin.type];
+        return table[Math.min(linesCleared, table.length - 1)];
+    }
+    
+    /**
+     * Score a spin that cleared no lines
+     */
+    scoreSpin(spin, level) {
+        const points = this.spinBaseScore(spin, 0) * level;
+        this.stats.spinBonuses++;
+        this.addScoreEvent(SCORE_EVENTS.SPIN_BONUS, points, {
+            spin: spin.type,
+            piece: spin.pieceType,
+            lines: 0
         });
-        
-        // Spin requires at least 3 filled corners
-        return filledCorners >= 3;
+        return points;
     }
     
     /**
@@ -257,16 +359,18 @@ export class ScoringEngine {
             type: type,
             points: points,
             metadata: metadata,
-            timestamp: Date.now() - this.replayData.startTime,
+            timestamp: this.getSimulatedTime(),
             hash: null
         };
         
-        // Create hash of previous event + this event for chain validation
-        const prevHash = this.scoreLedger.length > 0 
-            ? this.scoreLedger[this.scoreLedger.length - 1].hash 
-            : '0';
-        
-        event.hash = this.hashEvent(event, prevHash);
+        // Chain hash of previous event + this event, resolved in order
+        this.ledgerChain = this.ledgerChain
+            .then(async prevHash => {
+                if (this.hashError) return null;
+                event.hash = await this.hashEvent(event, prevHash);
+                return event.hash;
+            })
+            .catch(error => this.recordHashError(error));
         this.scoreLedger.push(event);
     }
     
@@ -277,14 +381,21 @@ export class ScoringEngine {
         this.frameCount++;
     }
     
+    /**
+     * Simulated milliseconds since game start (frame based, not wall time)
+     */
+    getSimulatedTime() {
+        return this.frameCount * (this.replayData.tickRate || REPLAY_TICK_RATE);
+    }
+    
     /**
      * Update statistics
      */
     updateStats(state) {
         this.stats.piecesPlaced = state.pieces || 0;
         
-        // Calculate PPS (Pieces Per Second)
-        const elapsedSeconds = (Date.now() - this.replayData.startTime) / 1000;
+        // Calculate PPS (Pieces Per Second) from the simulated clock
+        const elapsedSeconds = (state.elapsedTime ?? this.getSimulatedTime()) / 1000;
         if (elapsedSeconds > 0) {
             this.stats.pps = this.stats.piecesPlaced / elapsedSeconds;
             
@@ -303,36 +414,70 @@ export class ScoringEngine {
     
     /**
      * Finalize game and create verification data
+     * Final counters are recorded immediately; hashes resolve via this.finalization
      */
     finalizeGame(finalState) {
         this.updateStats(finalState);
         
         this.replayData.finalScore = finalState.score;
+        this.replayData.finalLines = finalState.lines;
+        this.replayData.finalLevel = finalState.level;
+        this.replayData.outcome = finalState.outcome || null;
+        this.replayData.totalFrames = this.frameCount;
         this.replayData.stats = { ...this.stats };
         
+        this.finalization = this.sealReplay(finalState.board)
+            .catch(error => this.skipSeal(error));
+        return this.finalization;
+    }
+    
+    /**
+     * Compute final hashes once all queued hashing has completed
+     */
+    async sealReplay(finalBoard) {
+        await this.flush();
+        if (this.hashError) throw this.hashError;
+        
+        this.replayData.finalBoardHash = await this.hashBoard(finalBoard);
+        
         // Create final verification hash
         const verificationData = {
-            scoreHash: this.hashScoreLedger(),
-            finalScore: finalState.score,
+            scoreHash: await this.hashScoreLedger(),
+            finalScore: this.replayData.finalScore,
             totalInputs: this.replayData.inputs.length,
             totalFrames: this.frameCount,
             stats: this.stats
         };
         
-        this.replayData.verificationHash = this.hashObject(verificationData);
+        this.replayData.verificationHash = await this.hashObject(verificationData);
         this.replayData.verified = true;
         
         return {
             replay: this.replayData,
             verification: verificationData,
-            canSubmitToTournament: this.validateReplay()
+            canSubmitToTournament: await this.validateReplay()
+        };
+    }
+    
+    /**
+     * Unsealed result when hashing failed - the replay still plays back,
+     * it just carries no hashes and can't be submitted
+     */
+    skipSeal(error) {
+        this.recordHashError(error);
+        this.replayData.verified = false;
+        
+        return {
+            replay: this.replayData,
+            verification: null,
+            canSubmitToTournament: false
         };
     }
     
     /**
      * Validate replay for tournament submission
      */
-    validateReplay() {
+    async validateReplay() {
         // Check for suspicious patterns
         const checks = {
             // Minimum game time (prevent tool-assisted runs)
@@ -345,7 +490,7 @@ export class ScoringEngine {
             hasTimingVariance: this.checkTimingVariance(),
             
             // Score ledger integrity
-            ledgerValid: this.validateScoreLedger(),
+            ledgerValid: await this.validateScoreLedger(),
             
             // State snapshot consistency
             snapshotsValid: this.validateSnapshots()
@@ -379,11 +524,12 @@ export class ScoringEngine {
     /**
      * Validate score ledger integrity
      */
-    validateScoreLedger() {
+    async validateScoreLedger() {
+        await this.flush();
         let prevHash = '0';
         
         for (const event of this.scoreLedger) {
-            const expectedHash = this.hashEvent(
+            const expectedHash = await this.hashEvent(
                 { ...event, hash: null }, 
                 prevHash
             );
@@ -407,7 +553,8 @@ export class ScoringEngine {
         let prevScore = -1;
         
         for (const snapshot of this.replayData.stateSnapshots) {
-            if (snapshot.frame <= prevFrame) return false;
+            // Several pieces can lock within one frame (hard drops between ticks)
+            if (snapshot.frame < prevFrame) return false;
             if (snapshot.score < prevScore) return false;
             
             prevFrame = snapshot.frame;
@@ -418,108 +565,47 @@ export class ScoringEngine {
     }
     
     /**
-     * Hash utilities
+     * Hash utilities - SHA-256 via crypto-utils, all async
      */
     hashEvent(event, prevHash) {
-        const data = `${prevHash}|${event.frame}|${event.type}|${event.points}|${JSON.stringify(event.metadata)}`;
-        return this.simpleHash(data);
+        const data = `${prevHash}|${event.frame}|${event.type}|${event.points}|${crypto.canonicalize(event.metadata)}`;
+        return crypto.sha256(data);
     }
     
     hashScoreLedger() {
         const data = this.scoreLedger.map(e => e.hash).join('|');
-        return this.simpleHash(data);
+        return crypto.sha256(data);
     }
     
     hashBoard(board) {
-        if (!board) return '0';
-        const data = board.map(row => row.map(cell => cell || '0').join('')).join('|');
-        return this.simpleHash(data);
+        return hashBoard(board);
     }
     
     hashObject(obj) {
-        return this.simpleHash(JSON.stringify(obj));
-    }
-    
-    // Simple hash function (in production, use crypto library)
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return Math.abs(hash).toString(16);
-    }
-    
-    /**
-     * Get current high score
-     */
-    getHighScore() {
-        return this.highScore;
-    }
-    
-    /**
-     * Check if current score is a new high score
-     */
-    checkHighScore(currentScore) {
-        if (currentScore > this.highScore) {
-            this.highScore = currentScore;
-            this.isNewHighScore = true;
-            
-            // Save to localStorage
-            try {
-                localStorage.setItem('neonDropHighScore', this.highScore.toString());
-            } catch (e) {
-                console.warn('Could not save high score to localStorage');
-            }
-            
-            return true;
-        }
-        return false;
+        return crypto.sha256(crypto.canonicalize(obj));
     }
     
     /**
      * Export replay data for tournament submission
+     * Waits for finalization so hashes are present
      */
-    exportReplay() {
+    async exportReplay() {
+        if (this.finalization) {
+            await this.finalization;
+        }
+        
         return {
             version: this.replayData.version,
             replay: this.replayData,
-            compressed: this.compressReplay(this.replayData)
+            compressed: encodeReplayString(this.replayData)
         };
     }
     
     /**
-     * Compress replay data
+     * Export replay signed with a shared HMAC key
+     * Verify with verifyReplaySignature() from crypto-utils.js
      */
-    compressReplay(data) {
-        // Simple RLE compression for inputs
-        const compressedInputs = [];
-        let current = null;
-        let count = 0;
-        
-        for (const input of data.inputs) {
-            const key = `${input.action.type}|${input.action.dx}|${input.action.dy}`;
-            
-            if (key === current) {
-                count++;
-            } else {
-                if (current) {
-                    compressedInputs.push({ key: current, count, frame: input.frame - count });
-                }
-                current = key;
-                count = 1;
-            }
-        }
-        
-        if (current) {
-            compressedInputs.push({ key: current, count });
-        }
-        
-        return {
-            ...data,
-            inputs: compressedInputs,
-            compressionType: 'RLE'
-        };
+    async exportSignedReplay(key) {
+        return crypto.signReplay(await this.exportReplay(), key);
     }
 }
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * settings-menu.js - Settings overlay: handling and key bindings
+ *
+ * Handling rows (handling.js) come first and step through their values
+ * with left/right. The device row picks whose bindings are edited: the
+ * keyboard or one of the connected gamepads (gamepad.js), which also get
+ * a stick deadzone row. Below them is one row per bindable action:
+ * confirming it waits for the next key or button press and adds it to the
+ * action, moving it away from whatever action held it before. Binding rows
+ * can be cleared, and everything can be reset to the defaults. The edits
+ * are applied when the overlay closes.
+ *
+ * Pure functions - the menu is replaced, never mutated.
+ */
+
+import { BINDABLE_ACTIONS, DEFAULT_BINDINGS, bindKey, clearAction, keyLabel } from './keybindings.js';
+import { HANDLING_FIELDS, DEFAULT_HANDLING, adjustHandling, formatHandling } from './handling.js';
+import { DEFAULT_PAD_BINDINGS, DEFAULT_DEADZONE, adjustDeadzone, isPadCode, padName } from './gamepad.js';
+
+// Rows shown at once - the list scrolls with the cursor
+export const VISIBLE_ROWS = 14;
+
+const HANDLING_ROWS = HANDLING_FIELDS.map(({ key, label }) => ({ kind: 'handling', key, label }));
+const DEVICE_ROW = { kind: 'device', label: 'DEVICE' };
+const DEADZONE_ROW = { kind: 'deadzone', label: 'STICK DEADZONE' };
+const BINDING_ROWS = BINDABLE_ACTIONS.map(({ id, label }) => ({ kind: 'binding', id, label }));
+
+// The gamepad being edited - null for the keyboard
+const editedPad = (menu) => menu.device > 0 ? menu.pads[menu.device - 1] : null;
+
+const rowsFor = (menu) => [
+    ...HANDLING_ROWS,
+    DEVICE_ROW,
+    ...(editedPad(menu) ? [DEADZONE_ROW] : []),
+    ...BINDING_ROWS
+];
+
+const selected = (menu) => rowsFor(menu)[menu.cursor];
+
+const editedBindings = (menu) => editedPad(menu) ? editedPad(menu).bindings : menu.bindings;
+
+// Replace fields of the edited pad
+const updatePad = (menu, changes) => ({
+    ...menu,
+    pads: menu.pads.map((pad, i) => i === menu.device - 1 ? { ...pad, ...changes } : pad)
+});
+
+const withBindings = (menu, bindings) => editedPad(menu) ? updatePad(menu, { bindings }) : { ...menu, bindings };
+
+const actionLabel = (id) => BINDABLE_ACTIONS.find(def => def.id === id).label;
+
+/**
+ * Open on the first row with the current bindings and the profile's handling
+ * pads are the connected controllers' configs - [{ id, bindings, deadzone }]
+ */
+export const createSettingsMenu = (bindings, handling, pads = []) => ({
+    bindings,
+    handling,
+    pads,
+    device: 0,  // 0 = keyboard, n = pads[n - 1]
+    cursor: 0,
+    capturing: false,
+    message: null
+});
+
+/**
+ * Pads plugged in or out while the overlay is open - edits to pads that
+ * stay connected are kept
+ */
+export const connectPads = (menu, pads) => {
+    const updated = { ...menu, pads: pads.map(pad => menu.pads.find(old => old.id === pad.id) || pad) };
+    if (updated.device <= pads.length) return updated;
+
+    const keyboard = { ...updated, device: 0, capturing: false, message: null };
+    return { ...keyboard, cursor: Math.min(keyboard.cursor, rowsFor(keyboard).length - 1) };
+};
+
+export const moveCursor = (menu, step) => {
+    const count = rowsFor(menu).length;
+    return { ...menu, cursor: (menu.cursor + step + count) % count, message: null };
+};
+
+/**
+ * Step the selected handling value, device or deadzone - binding rows ignore it
+ */
+export const adjustSelected = (menu, step) => {
+    const row = selected(menu);
+    switch (row.kind) {
+        case 'handling':
+            return { ...menu, handling: adjustHandling(menu.handling, row.key, step), message: null };
+
+        case 'device': {
+            const device = (menu.device + step + menu.pads.length + 1) % (menu.pads.length + 1);
+            const switched = { ...menu, device };
+            return { ...switched, message: editedPad(switched) ? padName(editedPad(switched).id) : null };
+        }
+
+        case 'deadzone':
+            return { ...updatePad(menu, { deadzone: adjustDeadzone(editedPad(menu).deadzone, step) }), message: null };
+
+        default:
+            return menu;
+    }
+};
+
+/**
+ * Confirm the selected row: wait for a key or button, or step a value
+ */
+export const startCapture = (menu) => {
+    const row = selected(menu);
+    if (row.kind !== 'binding') return adjustSelected(menu, 1);
+
+    return {
+        ...menu,
+        capturing: true,
+        message: `PRESS A ${editedPad(menu) ? 'BUTTON' : 'KEY'} FOR ${row.label}`
+    };
+};
+
+export const cancelCapture = (menu) => ({ ...menu, capturing: false, message: null });
+
+/**
+ * Bind the pressed key to the selected row - the message reports conflicts
+ * Keys only bind to the keyboard and buttons only to the edited pad
+ */
+export const captureKey = (menu, code) => {
+    if (isPadCode(code) !== Boolean(editedPad(menu))) {
+        return {
+            ...menu,
+            capturing: false,
+            message: editedPad(menu) ? `PRESS A BUTTON ON PAD ${menu.device}` : 'PRESS A KEY ON THE KEYBOARD'
+        };
+    }
+
+    const { bindings, conflict, rejected } = bindKey(editedBindings(menu), selected(menu).id, code);
+    const key = keyLabel(code);
+
+    let message = null;
+    if (rejected) {
+        message = conflict ? `${key} IS THE ONLY ${actionLabel(conflict)} KEY` : `${key} IS RESERVED`;
+    } else if (conflict) {
+        message = `${key} MOVED FROM ${actionLabel(conflict)}`;
+    }
+
+    return { ...withBindings(menu, bindings), capturing: false, message };
+};
+
+/**
+ * Unbind the selected action, or put a handling value or deadzone back to its default
+ */
+export const clearSelected = (menu) => {
+    const row = selected(menu);
+    switch (row.kind) {
+        case 'handling':
+            return { ...menu, handling: { ...menu.handling, [row.key]: DEFAULT_HANDLING[row.key] }, message: null };
+
+        case 'device':
+            return menu;
+
+        case 'deadzone':
+            return { ...updatePad(menu, { deadzone: DEFAULT_DEADZONE }), message: null };
+
+        default: {
+            const bindings = clearAction(editedBindings(menu), row.id);
+            return {
+                ...withBindings(menu, bindings),
+                message: bindings === editedBindings(menu) ? `${row.label} NEEDS A KEY` : null
+            };
+        }
+    }
+};
+
+export const resetBindings = (menu) => ({
+    ...menu,
+    bindings: { ...DEFAULT_BINDINGS },
+    handling: { ...DEFAULT_HANDLING },
+    pads: menu.pads.map(pad => ({ ...pad, bindings: { ...DEFAULT_PAD_BINDINGS }, deadzone: DEFAULT_DEADZONE })),
+    capturing: false,
+    message: 'DEFAULTS RESTORED'
+});
+
+const rowValue = (menu, row) => {
+    switch (row.kind) {
+        case 'handling':
+            return formatHandling(menu.handling, row.key);
+        case 'device':
+            return menu.device > 0 ? `PAD ${menu.device}` : 'KEYBOARD';
+        case 'deadzone':
+            return `${Math.round(editedPad(menu).deadzone * 100)}%`;
+        default:
+            return (editedBindings(menu)[row.id] || []).map(keyLabel).join(' ');
+    }
+};
+
+/**
+ * Everything the renderer draws - the visible slice of rows around the cursor
+ */
+export const settingsInfo = (menu) => {
+    const rows = rowsFor(menu);
+    const first = Math.max(0, Math.min(menu.cursor - Math.floor(VISIBLE_ROWS / 2), rows.length - VISIBLE_ROWS));
+
+    return {
+        rows: rows.slice(first, first + VISIBLE_ROWS).map((row, i) => ({
+            label: row.label,
+            value: rowValue(menu, row),
+            adjustable: row.kind !== 'binding',
+            selected: first + i === menu.cursor
+        })),
+        capturing: menu.capturing,
+        message: menu.message,
+        pads: menu.pads.length,
+        scroll: { first, total: rows.length }
+    };
+};
\ No newline at end of file
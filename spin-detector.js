@@ -0,0 +1,120 @@
+/**
+ * spin-detector.js - T-spin and all-spin detection
+ *
+ * A spin needs the piece's last successful maneuver to be a rotation,
+ * which tryRotation records as piece.kickIndex (0 = no kick) and any
+ * translation clears back to null.
+ *
+ * - T piece: 3-corner rule. Both front corners filled = T-spin, otherwise
+ *   T-spin mini unless the rotation used the last kick in its table.
+ * - Other pieces: immobility - can't move left, right or up = spin.
+ *
+ * Pure functions, evaluated against the board BEFORE the piece is placed.
+ */
+
+import { canPieceFitAt } from './physics-pure.js';
+import { getKicks, SYMMETRIC_PIECES } from './rotation-systems.js';
+
+export const SPIN_TYPES = {
+    T_SPIN: 'T_SPIN',
+    T_SPIN_MINI: 'T_SPIN_MINI',
+    SPIN: 'SPIN'
+};
+
+// Corners of the T's 3x3 box, relative to its center
+const CORNERS = {
+    TL: { dx: -1, dy: -1 },
+    TR: { dx: 1, dy: -1 },
+    BL: { dx: -1, dy: 1 },
+    BR: { dx: 1, dy: 1 }
+};
+
+// Corners on the side the T points to, per rotation state
+const FRONT_CORNERS = {
+    0: ['TL', 'TR'],
+    1: ['TR', 'BR'],
+    2: ['BL', 'BR'],
+    3: ['TL', 'BL']
+};
+
+/**
+ * Corner is filled if it holds a block or lies outside the board walls/floor
+ */
+const isCornerFilled = (board, x, y) => {
+    if (x < 0 || x >= board[0].length || y >= board.length) return true;
+    if (y < 0) return false;
+    return board[y][x] !== null;
+};
+
+/**
+ * Did the rotation use the final kick of its table (TST / fin kick)?
+ */
+const usedLastKick = (piece, rotationSystem) => {
+    if (!piece.kickIndex || piece.lastRotationDirection === undefined) return false;
+
+    // Kicks are looked up from the pre-rotation state
+    const before = {
+        ...piece,
+        rotation: (piece.rotation - piece.lastRotationDirection + 4) % 4
+    };
+    const kicks = getKicks(rotationSystem, before, piece.lastRotationDirection);
+    return kicks.length > 0 && piece.kickIndex === kicks.length;
+};
+
+/**
+ * 3-corner T-spin check
+ */
+const detectTSpin = (board, piece, rotationSystem) => {
+    const centerX = piece.gridX + 1;
+    const centerY = piece.gridY + 1;
+
+    const filled = Object.keys(CORNERS).filter(name =>
+        isCornerFilled(board, centerX + CORNERS[name].dx, centerY + CORNERS[name].dy)
+    );
+
+    if (filled.length < 3) return null;
+
+    const frontFilled = FRONT_CORNERS[piece.rotation].every(name => filled.includes(name));
+
+    if (frontFilled || usedLastKick(piece, rotationSystem)) {
+        return { type: SPIN_TYPES.T_SPIN, pieceType: 'T' };
+    }
+
+    return { type: SPIN_TYPES.T_SPIN_MINI, pieceType: 'T' };
+};
+
+/**
+ * Immobility check for every other piece
+ */
+const isImmobile = (board, piece) =>
+    !canPieceFitAt(board, piece, piece.gridX - 1, piece.gridY) &&
+    !canPieceFitAt(board, piece, piece.gridX + 1, piece.gridY) &&
+    !canPieceFitAt(board, piece, piece.gridX, piece.gridY - 1);
+
+/**
+ * Detect a spin for a piece about to lock - returns null when none
+ */
+export const detectSpin = (board, piece, rotationSystem = 'SRS') => {
+    if (!piece || piece.kickIndex === null || piece.kickIndex === undefined) return null;
+
+    // Rotation is a no-op for symmetric pieces (O, PLUS, FLOAT), so they can't "spin" into a slot
+    if (SYMMETRIC_PIECES.includes(piece.type)) return null;
+
+    if (piece.type === 'T') {
+        return detectTSpin(board, piece, rotationSystem);
+    }
+
+    return isImmobile(board, piece)
+        ? { type: SPIN_TYPES.SPIN, pieceType: piece.type }
+        : null;
+};
+
+/**
+ * Display label for a spin result, e.g. "T-SPIN MINI" or "L-SPIN"
+ */
+export const spinLabel = (spin) => {
+    if (!spin) return '';
+    if (spin.type === SPIN_TYPES.T_SPIN) return 'T-SPIN';
+    if (spin.type === SPIN_TYPES.T_SPIN_MINI) return 'T-SPIN MINI';
+    return `${spin.pieceType}-SPIN`;
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * verification-server.js - Local score verification service (Node only)
+ *
+ * Accepts exportReplay() output, re-simulates it with the pure engine
+ * and keeps a trusted leaderboard of accepted runs.
+ *
+ * Endpoints:
+ * - POST /verify          Submit a replay, returns the verdict
+ * - GET  /verdicts/:id    Look up a stored verdict
+ * - GET  /leaderboard     Accepted runs, best first (?mode=NEON_DROP&limit=20)
+ *
+ * Usage: node verification-server.js [port]
+ * Env:   VERIFY_STORE=verdicts.json  persist to a JSON file (default: memory)
+ *        VERIFY_HMAC_KEY=secret      require HMAC-signed submissions
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { verifyReplay } from './replay-verifier.js';
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * In-memory verdict store, optionally mirrored to a JSON file
+ */
+export const createVerdictStore = async (filePath = null) => {
+    let verdicts = [];
+
+    if (filePath) {
+        try {
+            verdicts = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    // Serialize writes so concurrent submissions can't interleave
+    let writeQueue = Promise.resolve();
+    const persist = () => {
+        if (!filePath) return Promise.resolve();
+        writeQueue = writeQueue.then(() =>
+            fs.writeFile(filePath, JSON.stringify(verdicts, null, 2))
+        );
+        return writeQueue;
+    };
+
+    return {
+        add: async (verdict) => {
+            verdicts.push(verdict);
+            await persist();
+            return verdict;
+        },
+        get: (id) => verdicts.find(v => v.id === id) || null,
+        leaderboard: ({ mode = null, limit = 20 } = {}) => verdicts
+            .filter(v => v.verdict === 'ACCEPT' && (!mode || v.mode === mode))
+            .sort((a, b) => b.actual.score - a.actual.score)
+            .slice(0, limit)
+    };
+};
+
+/**
+ * Read a JSON request body with a size limit
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+        }
+    });
+
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Create the HTTP server - not yet listening
+ */
+export const createVerificationServer = ({ store, hmacKey = null }) => http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204, null);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/verify') {
+            const submission = await readJsonBody(req);
+            const result = await verifyReplay(submission, { hmacKey });
+            const verdict = await store.add({
+                id: randomUUID(),
+                player: submission.player || null,
+                receivedAt: new Date().toISOString(),
+                ...result
+            });
+            sendJson(res, verdict.verdict === 'ACCEPT' ? 200 : 422, verdict);
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/verdicts/')) {
+            const verdict = store.get(decodeURIComponent(url.pathname.slice('/verdicts/'.length)));
+            sendJson(res, verdict ? 200 : 404, verdict || { error: 'Not found' });
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/leaderboard') {
+            sendJson(res, 200, store.leaderboard({
+                mode: url.searchParams.get('mode'),
+                limit: Math.min(100, parseInt(url.searchParams.get('limit') || '20'))
+            }));
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (e) {
+        sendJson(res, e.status || 500, { error: e.message });
+    }
+});
+
+// Run as a script
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+    const store = await createVerdictStore(process.env.VERIFY_STORE || null);
+    const hmacKey = process.env.VERIFY_HMAC_KEY || null;
+
+    createVerificationServer({ store, hmacKey }).listen(port, () => {
+        console.log(`Verification server listening on http://localhost:${port}`);
+        if (hmacKey) console.log('Signed submissions required');
+    });
+}
\ No newline at end of file
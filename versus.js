@@ -0,0 +1,110 @@
+/**
+ * versus.js - Local two-player versus
+ *
+ * A match is two independent engine states started from the same seed,
+ * so both players see the same pieces and garbage holes. Attacks are
+ * exchanged after every step: a finished clear's attack (already offset
+ * against the sender's pending garbage) becomes a GARBAGE input for the
+ * opponent, recorded in their replay like any other input.
+ *
+ * The first player to top out loses; the other is ended with a WIN.
+ * Pure functions over { players: [p1, p2], winner } - winner is the
+ * player index, null while playing, or -1 for a draw.
+ */
+
+import * as Engine from './game-engine.js';
+import { createInitialState } from './game-state.js';
+
+export const PLAYER_COUNT = 2;
+
+/**
+ * Start a match - both players share the seed
+ */
+export const createMatch = (mode, seed) => ({
+    players: Array.from({ length: PLAYER_COUNT }, (_, i) =>
+        Engine.startGame({ ...createInitialState(mode), playerLabel: `P${i + 1}` }, seed)
+    ),
+    winner: null
+});
+
+export const isMatchOver = (match) => match.winner !== null;
+
+/**
+ * Record and apply an input for one player
+ */
+const applyInput = (player, action) => {
+    if (player.scoringEngine) {
+        player.scoringEngine.recordInput(action, player.frame);
+    }
+    return Engine.handleInput(player, action);
+};
+
+/**
+ * Send each player's fresh clear attack to the other player
+ */
+const exchangeAttacks = (before, players) => {
+    const attacks = players.map((player, i) => {
+        const clear = player.lastClear;
+        return clear && clear !== before[i].lastClear ? clear.attack : 0;
+    });
+
+    return players.map((player, i) => {
+        const incoming = attacks[(i + 1) % PLAYER_COUNT];
+        return incoming > 0 ? applyInput(player, { type: 'GARBAGE', lines: incoming }) : player;
+    });
+};
+
+/**
+ * Decide the match once someone has topped out
+ */
+const settleMatch = (match) => {
+    if (isMatchOver(match)) return match;
+
+    const losers = match.players.map(p => p.phase === 'GAME_OVER');
+    if (!losers.includes(true)) return match;
+
+    if (losers.every(Boolean)) {
+        return { ...match, winner: -1 };
+    }
+
+    const winner = losers.indexOf(false);
+    return {
+        winner,
+        players: match.players.map((p, i) => i === winner ? Engine.endGame(p, 'WIN') : p)
+    };
+};
+
+/**
+ * Advance both players one fixed step
+ */
+export const tickMatch = (match, deltaTime) => {
+    if (isMatchOver(match)) return match;
+
+    const before = match.players;
+    const players = before.map(p => Engine.tick(p, deltaTime));
+    return settleMatch({ ...match, players: exchangeAttacks(before, players) });
+};
+
+/**
+ * Apply one player's engine input
+ */
+export const handleMatchInput = (match, index, action) => {
+    if (isMatchOver(match)) return match;
+
+    const before = match.players;
+    const players = before.map((p, i) => i === index ? applyInput(p, action) : p);
+    return settleMatch({ ...match, players: exchangeAttacks(before, players) });
+};
+
+/**
+ * Pause and resume both boards together
+ */
+export const pauseMatch = (match) => ({
+    ...match,
+    players: match.players.map(p => ({ ...p, phase: 'PAUSED', pausedPhase: p.phase }))
+});
+
+export const resumeMatch = (match) => ({
+    ...match,
+    players: match.players.map(p => ({ ...p, phase: p.pausedPhase || 'FALLING', pausedPhase: null }))
+});
\ No newline at end of file